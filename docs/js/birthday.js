@@ -0,0 +1,43 @@
+/**
+ * Birthday - Age and party date from the story's metadata
+ *
+ *   metadata:
+ *     birth_date: "1989-11-12"
+ *     party_date: "2025-11-12T18:00"   # the reader's local time
+ *
+ * The age is the one turned at the party (today's age without a
+ * party_date), so it never needs updating by hand. Stories without a
+ * birth_date fall back to a fixed metadata.age. Must match story_age in
+ * scripts/export_from_yaml.py.
+ */
+
+// "2025-11-12" is parsed as UTC midnight by Date; dates mean local time here
+export function parseLocalDate(value) {
+    if (!value) return null;
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00` : value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Whole years from birth to date
+export function ageOn(birth, date) {
+    const hadBirthday = date.getMonth() > birth.getMonth()
+        || (date.getMonth() === birth.getMonth() && date.getDate() >= birth.getDate());
+    return date.getFullYear() - birth.getFullYear() - (hadBirthday ? 0 : 1);
+}
+
+export function partyDate(metadata) {
+    return parseLocalDate(metadata.party_date);
+}
+
+// Age at the party, or null if the story gives neither age nor birth_date
+export function storyAge(metadata, now = new Date()) {
+    const birth = parseLocalDate(metadata.birth_date);
+    if (birth) return ageOn(birth, partyDate(metadata) || now);
+    return metadata.age ?? null;
+}
+
+// Hero text placeholders: "{age} år gammal", "Grattis {recipient}!"
+export function fillPlaceholders(value, metadata) {
+    const values = { age: storyAge(metadata), recipient: metadata.recipient };
+    return String(value ?? '').replace(/\{(age|recipient)\}/g, (match, key) => values[key] ?? match);
+}
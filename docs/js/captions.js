@@ -0,0 +1,62 @@
+/**
+ * Captions - WebVTT files for voice notes
+ *
+ * Videos show their captions natively (<track>); voice notes have no video
+ * frame to draw on, so their .vtt files are parsed here and the cue at the
+ * current playback time is shown as text under the waveforms.
+ *
+ * Only what friends' captions need is supported: cue timings and text.
+ * Cue settings, styles and regions are ignored and inline tags (<v Huss>,
+ * <i>) are stripped.
+ */
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ' };
+
+// "01:02.500" or "1:01:02.500" -> seconds
+function parseTimestamp(value) {
+    return value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+function cueText(lines) {
+    return lines.join('\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(amp|lt|gt|nbsp);/g, entity => ENTITIES[entity])
+        .trim();
+}
+
+// [{ start, end, text }] (seconds) from the text of a .vtt file
+export function parseVtt(text) {
+    return text.replace(/\r\n?/g, '\n').split(/\n{2,}/).flatMap(block => {
+        const lines = block.split('\n');
+        const timing = lines.findIndex(line => line.includes('-->'));
+        if (timing === -1) return []; // WEBVTT header, NOTE, STYLE
+
+        const [start, end] = lines[timing].split('-->').map(part => parseTimestamp(part.trim().split(/\s+/)[0]));
+        if (Number.isNaN(start) || Number.isNaN(end)) return [];
+        return [{ start, end, text: cueText(lines.slice(timing + 1)) }];
+    });
+}
+
+// Captions by URL, fetched once
+const loaded = new Map();
+
+export function loadCaptions(src) {
+    if (!loaded.has(src)) {
+        loaded.set(src, fetch(src)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.text();
+            })
+            .then(parseVtt)
+            .catch(error => {
+                console.warn(`⚠️  Could not load captions "${src}":`, error.message);
+                return [];
+            }));
+    }
+    return loaded.get(src);
+}
+
+// Text of the cue(s) showing at time (seconds)
+export function cueAt(cues, time) {
+    return cues.filter(cue => time >= cue.start && time < cue.end).map(cue => cue.text).join('\n');
+}
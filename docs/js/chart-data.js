@@ -0,0 +1,64 @@
+/**
+ * Line Chart Data - Normalizes line-chart slide data
+ *
+ * A chart is either N named series:
+ *
+ *   chart:
+ *     series:
+ *       - name: "Historik"
+ *         style: { color: "#1a1a1a", dash: null, width: 3 }
+ *         points: [{ year: 2016, value: 250, annotation: "…" }, …]
+ *
+ * or the original two-series shape (historical = black solid line,
+ * projection = red dashed line). Domains are computed from the data unless
+ * the YAML overrides them with x_domain / y_domain.
+ */
+
+import { ui } from './i18n.js';
+
+// Styles for series without their own, in order
+const DEFAULT_STYLES = [
+    { color: '#1a1a1a', dash: null, width: 3 },
+    { color: '#C84B4B', dash: '10,5', width: 3 }
+];
+
+export function chartSeries(chart) {
+    const series = chart.series || [
+        { name: ui('historical'), points: chart.historical },
+        { name: ui('projection'), points: chart.projection }
+    ];
+
+    return series.map((s, i) => ({
+        name: s.name || ui('seriesNumber', { number: i + 1 }),
+        points: s.points,
+        style: {
+            ...(DEFAULT_STYLES[i] || { color: d3.schemeTableau10[i % 10], dash: null, width: 3 }),
+            ...(s.style || {})
+        }
+    }));
+}
+
+// y_scale: "linear" (default), "log", or "clamped" (values above y_clamp are
+// drawn in a band above a break marker instead of stretching the axis)
+export function chartScales(chart, series) {
+    const points = series.flatMap(s => s.points);
+    const values = points.map(p => p.value);
+    const yScaleType = chart.y_scale || 'linear';
+
+    const xDomain = chart.x_domain || d3.extent(points, p => p.year);
+
+    let yDomain = chart.y_domain;
+    if (!yDomain) {
+        if (yScaleType === 'log') {
+            yDomain = [d3.min(values.filter(v => v > 0)), d3.max(values)];
+        } else if (yScaleType === 'clamped') {
+            yDomain = [Math.min(0, d3.min(values)), chart.y_clamp];
+        } else {
+            yDomain = [Math.min(0, d3.min(values)), d3.max(values)];
+        }
+    }
+
+    const clamp = yScaleType === 'clamped' ? (chart.y_clamp ?? yDomain[1]) : Infinity;
+
+    return { xDomain, yDomain, yScaleType, clamp };
+}
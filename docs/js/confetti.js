@@ -0,0 +1,109 @@
+/**
+ * Confetti Burst Component - Emoji confetti with D3 force physics
+ *
+ * Each burst() shoots a handful of emojis up and out from a point; gravity
+ * pulls them down and they bounce and pile up on the bottom edge
+ * (forceCollide keeps the pile from overlapping). Used by the hero slide
+ * once the party has started.
+ */
+
+// Downward pull per tick (px/tick²)
+const GRAVITY = 0.35;
+
+// Share of speed kept when bouncing off the floor or a wall
+const BOUNCE = 0.45;
+
+export class ConfettiBurst {
+    constructor(svg, emojis, options = {}) {
+        this.svg = svg;
+        this.emojis = emojis;
+        this.options = {
+            width: options.width || window.innerWidth,
+            height: options.height || window.innerHeight,
+            iconSize: options.iconSize || 32,
+            count: options.count || 40, // Emojis per burst
+            animate: options.animate ?? true, // false: settle the pile up front
+            ...options
+        };
+        this.nodes = [];
+        this.layer = svg.append('g').attr('class', 'confetti');
+
+        this.simulation = d3.forceSimulation(this.nodes)
+            .velocityDecay(0.01)
+            .alphaDecay(0.008)
+            .force('gravity', () => this.nodes.forEach(node => { node.vy += GRAVITY; }))
+            .force('collide', d3.forceCollide(d => d.size / 2).strength(0.6))
+            .force('bounds', () => this.keepInside())
+            .stop();
+    }
+
+    // Shoot count emojis out from (x, y)
+    burst({ x, y }) {
+        const { iconSize, count } = this.options;
+        const start = this.nodes.length;
+
+        for (let i = 0; i < count; i++) {
+            // Mostly upwards, fanning out to the sides
+            const angle = -Math.PI / 2 + (Math.random() - 0.5) * Math.PI * 0.9;
+            const speed = 8 + Math.random() * 10;
+            this.nodes.push({
+                emoji: this.emojis[(start + i) % this.emojis.length],
+                size: iconSize * (0.7 + Math.random() * 0.6),
+                x,
+                y,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                angle: Math.random() * 360,
+                spin: (Math.random() - 0.5) * 20
+            });
+        }
+        this.simulation.nodes(this.nodes).alpha(1);
+
+        const items = this.layer.selectAll('text.confetti-emoji')
+            .data(this.nodes)
+            .join('text')
+            .attr('class', 'confetti-emoji')
+            .attr('font-size', d => d.size)
+            .attr('text-anchor', 'middle')
+            .attr('dominant-baseline', 'central')
+            .text(d => d.emoji);
+
+        const updatePositions = () => {
+            items.attr('transform', d => `translate(${d.x},${d.y}) rotate(${d.angle})`);
+        };
+
+        if (!this.options.animate) {
+            // Reduced motion: only show where the confetti ends up
+            this.simulation.tick(600);
+            updatePositions();
+            return;
+        }
+
+        this.simulation
+            .on('tick', () => {
+                this.nodes.forEach(node => { node.angle += node.spin * this.simulation.alpha(); });
+                updatePositions();
+            })
+            .restart();
+    }
+
+    // Bounce off the floor and the side walls (the top is open)
+    keepInside() {
+        const { width, height } = this.options;
+        this.nodes.forEach(node => {
+            const radius = node.size / 2;
+            if (node.y + node.vy > height - radius) {
+                node.y = height - radius;
+                node.vy *= -BOUNCE;
+                node.vx *= 0.8; // Friction on the floor
+            }
+            if (node.x + node.vx < radius || node.x + node.vx > width - radius) {
+                node.vx *= -BOUNCE;
+            }
+        });
+    }
+
+    stop() {
+        this.simulation.stop();
+    }
+}
@@ -0,0 +1,47 @@
+/**
+ * Countdown - Live "time left" until a date, shared by locked slides
+ * (unlock.js) and the hero's party countdown (slide-types.js,
+ * visualizations.js)
+ */
+
+import { ui } from './i18n.js';
+
+// Refresh interval (ms)
+const TICK = 1000;
+
+// "2 d 3 h 4 min 5 s" for a duration in ms
+export function formatRemaining(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    const parts = [
+        [Math.floor(seconds / 86400), ui('days')],
+        [Math.floor(seconds / 3600) % 24, ui('hours')],
+        [Math.floor(seconds / 60) % 60, ui('minutes')],
+        [seconds % 60, ui('seconds')]
+    ];
+    const first = parts.findIndex(([value]) => value > 0);
+    return parts.slice(first === -1 ? 3 : first).map(([value, unit]) => `${value} ${unit}`).join(' ');
+}
+
+// Calls onTick(msLeft) every second until target, then onDue() once (right
+// away if target has passed). Returns a function that stops the countdown.
+export function startCountdown(target, { onTick = () => {}, onDue = () => {} }) {
+    let timer = null;
+
+    // Returns true once the time has come
+    const tick = () => {
+        const remaining = target - Date.now();
+        if (remaining > 0) {
+            onTick(remaining);
+            return false;
+        }
+        onDue();
+        return true;
+    };
+
+    if (!tick()) {
+        timer = setInterval(() => {
+            if (tick()) clearInterval(timer);
+        }, TICK);
+    }
+    return () => clearInterval(timer);
+}
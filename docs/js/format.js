@@ -0,0 +1,64 @@
+/**
+ * Formatting Service - Numbers, money and dates for the story's locale
+ *
+ * Configured from the story's metadata:
+ *
+ *   metadata:
+ *     language: "sv"      # also the page's lang attribute
+ *     locale: "sv-SE"     # optional, defaults to language
+ *     currency: "SEK"     # optional, money values are formatted as currency
+ *     compact: false      # optional, 1,85 mn kr instead of 1 850 000 kr
+ *
+ * Per value (a KPI, a chart) the same keys can be overridden. A value with a
+ * "unit" is a plain number with that unit ("12 st"); one without is money in
+ * the story's currency.
+ */
+
+const DEFAULT_LANGUAGE = 'sv';
+
+export class Formatter {
+    constructor(metadata = {}) {
+        this.language = metadata.language || DEFAULT_LANGUAGE;
+        this.locale = metadata.locale || this.language;
+        this.currency = metadata.currency || null;
+        this.compact = metadata.compact === true;
+        this.cache = new Map();
+    }
+
+    // Intl formatters are relatively expensive to create; counters and axes
+    // format many values with the same options
+    numberFormat(locale, options) {
+        const key = `${locale}|${JSON.stringify(options)}`;
+        if (!this.cache.has(key)) {
+            this.cache.set(key, new Intl.NumberFormat(locale, options));
+        }
+        return this.cache.get(key);
+    }
+
+    // overrides: { unit, currency, compact, locale, prefix } from a KPI/chart
+    format(value, overrides = {}) {
+        const locale = overrides.locale || this.locale;
+        const compact = overrides.compact ?? this.compact;
+        const unit = overrides.unit;
+        const currency = unit ? null : (overrides.currency || this.currency);
+
+        const options = compact
+            ? { notation: 'compact', maximumSignificantDigits: 3 }
+            : { minimumFractionDigits: 0 };
+        if (currency) {
+            Object.assign(options, { style: 'currency', currency });
+        }
+
+        const number = this.numberFormat(locale, options).format(value);
+        return `${overrides.prefix || ''}${number}${unit ? ` ${unit}` : ''}`;
+    }
+
+    // Short form regardless of settings, for labels with little room
+    formatCompact(value, overrides = {}) {
+        return this.format(value, { ...overrides, compact: true });
+    }
+
+    date(value, options = { dateStyle: 'long' }) {
+        return new Intl.DateTimeFormat(this.locale, options).format(new Date(value));
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * Guess - "Guess the present" input for text-with-dots slides
+ *
+ * A slide with content.guess gets a text field in its narrative box. Input
+ * is compared after normalizeAnswer (case, accents, spaces and punctuation
+ * ignored) and plain answers also accept small typos. Answers exported with
+ * `hash: true` only exist as SHA-256 hashes (answer_hashes, see
+ * scripts/guess_answers.py), so they match exactly after normalizing.
+ *
+ * Solving (or giving up) dispatches a bubbling "guess-solved" event, which
+ * main.js uses to unlock the reveal (guess.reveal). Solved guesses are kept
+ * in sessionStorage so a reload doesn't lock the story again.
+ */
+
+import { ui } from './i18n.js';
+
+const STORAGE_KEY = 'guess-solved';
+
+// Must match normalize_answer in scripts/guess_answers.py
+export function normalizeAnswer(text) {
+    return String(text)
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+export async function hashAnswer(text) {
+    const bytes = new TextEncoder().encode(normalizeAnswer(text));
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Levenshtein distance
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Typos accepted for an answer: one per four letters, at most two
+function typoAllowance(answer) {
+    return Math.min(2, Math.floor(answer.length / 4));
+}
+
+// 'correct', 'near' (plain answers only) or 'wrong'
+export async function checkGuess(guess, { answers = [], answer_hashes: hashes = [] }) {
+    const normalized = normalizeAnswer(guess);
+    if (!normalized) return 'wrong';
+
+    if (hashes.length && hashes.includes(await hashAnswer(guess))) {
+        return 'correct';
+    }
+
+    const distances = answers.map(answer => {
+        const target = normalizeAnswer(answer);
+        return { distance: editDistance(normalized, target), allowance: typoAllowance(target) };
+    });
+    if (distances.some(({ distance, allowance }) => distance <= allowance)) return 'correct';
+    if (distances.some(({ distance, allowance }) => distance <= allowance + 2)) return 'near';
+    return 'wrong';
+}
+
+// slide id -> 'correct' | 'gave-up', for this tab
+const solved = loadSolved();
+
+function loadSolved() {
+    try {
+        return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        return {}; // Storage disabled (e.g. private mode)
+    }
+}
+
+export function isGuessSolved(slide) {
+    return slide.id in solved;
+}
+
+function markSolved(slide, outcome) {
+    solved[slide.id] = outcome;
+    try {
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify(solved));
+    } catch (error) {
+        // Not persisted; unlocked until the next reload only
+    }
+}
+
+// Append the guess form for slide.content.guess to a narrative box
+export function renderGuess(content, slide) {
+    const config = slide.content.guess;
+    const responses = config.responses || ui('wrongGuesses');
+    let wrongGuesses = 0;
+
+    const form = document.createElement('form');
+    form.className = 'guess-form';
+    form.noValidate = true;
+
+    const inputId = `guess-${slide.id}`;
+    const label = document.createElement('label');
+    label.className = 'sr-only';
+    label.htmlFor = inputId;
+    label.textContent = ui('guessLabel');
+
+    const input = document.createElement('input');
+    input.id = inputId;
+    input.type = 'text';
+    input.autocomplete = 'off';
+    input.spellcheck = false;
+    input.placeholder = config.placeholder || ui('guessPlaceholder');
+
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.textContent = ui('guessSubmit');
+
+    const row = document.createElement('div');
+    row.className = 'guess-row';
+    row.append(input, submit);
+
+    const response = document.createElement('p');
+    response.className = 'guess-response';
+    response.setAttribute('aria-live', 'polite');
+
+    const giveUp = document.createElement('button');
+    giveUp.type = 'button';
+    giveUp.className = 'guess-give-up';
+    giveUp.textContent = config.give_up || ui('giveUp');
+
+    form.append(label, row, response, giveUp);
+    content.appendChild(form);
+
+    const solve = outcome => {
+        markSolved(slide, outcome);
+        showSolved(outcome);
+        form.dispatchEvent(new CustomEvent('guess-solved', {
+            bubbles: true,
+            detail: { step: slide.step, gaveUp: outcome === 'gave-up' }
+        }));
+    };
+
+    const showSolved = outcome => {
+        form.classList.add('solved');
+        input.disabled = true;
+        submit.disabled = true;
+        giveUp.hidden = true;
+        response.textContent = outcome === 'gave-up'
+            ? (config.gave_up || ui('gaveUp'))
+            : (config.correct || ui('correct'));
+    };
+
+    form.addEventListener('submit', async event => {
+        event.preventDefault();
+        if (!input.value.trim()) return;
+
+        const result = await checkGuess(input.value, config);
+        if (result === 'correct') {
+            console.log('🎯 Guessed right');
+            solve('correct');
+            return;
+        }
+
+        response.textContent = result === 'near'
+            ? ui('nearMiss')
+            : responses[wrongGuesses++ % responses.length];
+        input.select();
+    });
+
+    giveUp.addEventListener('click', () => solve('gave-up'));
+
+    // Re-populated (e.g. language switch) after it was already solved
+    if (isGuessSolved(slide)) {
+        showSolved(solved[slide.id]);
+    }
+}
@@ -0,0 +1,259 @@
+/**
+ * Story Translations - Picks one language out of a multilingual story
+ *
+ * Any text field in the YAML may be a map of translations:
+ *
+ *   metadata:
+ *     language: "sv"            # default, used for missing translations
+ *     languages: ["sv", "en"]
+ *   ...
+ *     text: { sv: "Grattis!", en: "Happy birthday!" }
+ *
+ * localize() returns a copy of the story with every such map replaced by one
+ * language's text, so populators and builders only ever see plain strings.
+ * The chosen language is kept in the URL as ?lang=<code>.
+ *
+ * The app's own words (buttons, labels, default texts, what screen readers
+ * hear) come from UI_STRINGS through ui(key), in the language set with
+ * setUiLanguage(). Languages without a table there fall back to the story's
+ * default language (metadata.language), then to Swedish.
+ */
+
+const DEFAULT_LANGUAGE = 'sv';
+
+// {name} placeholders are filled from ui()'s params
+const UI_STRINGS = {
+    sv: {
+        // Hero, countdowns (countdown.js)
+        celebration: 'Grattis på födelsedagen! 🎉',
+        partyCountdown: 'Kalaset börjar om {time}',
+        heroConfetti: 'Konfetti som regnar ner: {emojis}',
+        heroFloaters: 'Flytande födelsedagsemojis',
+        days: 'd',
+        hours: 'h',
+        minutes: 'min',
+        seconds: 's',
+
+        // Wishlist
+        wishlist: 'Önskelista: {items}',
+        secretWish: 'Hemlig önskan',
+        secretWishItem: 'en hemlig önskan',
+        bought: 'köpt',
+        crossedOut: 'struken',
+
+        // Images and lightbox
+        images: 'Bilder: {alts}',
+        imageMissing: 'Bild saknas',
+        imageFailed: 'Bilden kunde inte laddas',
+        enlarge: 'Visa större: {alt}',
+        enlargeImage: 'Visa större bild',
+        lightbox: 'Bildvisning',
+        close: 'Stäng',
+        previousImage: 'Föregående bild',
+        nextImage: 'Nästa bild',
+
+        // Line charts (chart-data.js)
+        lineChart: 'Linjediagram: {series}. Alla värden finns i tabellen.',
+        seriesRange: '{name} från {from} ({fromValue}) till {to} ({toValue})',
+        historical: 'Historik',
+        projection: 'Prognos',
+        seriesNumber: 'Serie {number}',
+        year: 'År',
+
+        // Guessing (guess.js)
+        dots: 'Tre pulserande punkter',
+        guessLabel: 'Din gissning',
+        guessPlaceholder: 'Din gissning…',
+        guessSubmit: 'Gissa',
+        giveUp: 'Jag ger upp',
+        wrongGuesses: ['Nej! 😠', 'Kallt… 🥶', 'Inte ens nära 😂', 'Försök igen!', 'Haha, nej.'],
+        nearMiss: 'Nästan! Kolla stavningen 🤏',
+        correct: 'Rätt! 🎉',
+        gaveUp: 'Okej, okej… fortsätt så får du se 👀',
+
+        // Locked slides (unlock.js)
+        locked: 'Låst bild',
+        lockedDescription: 'Ett hänglås, den här bilden öppnas senare',
+        notYet: 'Inte än…',
+        opensIn: 'Öppnas om {time}',
+        passcode: 'Lösenord',
+        unlock: 'Lås upp',
+        wrongPasscode: 'Fel lösenord 🙅',
+        unlockFailed: 'Kunde inte låsa upp 😕',
+        unlockDue: 'Nu får du öppna! Fråga efter lösenordet 🤫',
+
+        // Video, voice notes and sound (soundtrack.js)
+        video: 'Video',
+        videoCaptioned: 'Video med textning',
+        voiceNote: 'Röstmeddelande',
+        voiceNoteFrom: 'Röstmeddelande från {author}',
+        voiceNotesFrom: 'Röstmeddelanden från {authors}',
+        unknownAuthor: 'okänd',
+        playHint: 'Tryck på ▶ för att lyssna',
+        soundOn: 'Slå på ljudet',
+        soundOff: 'Stäng av ljudet',
+
+        // Page chrome
+        languages: 'Språk',
+        fullscreen: 'Helskärm',
+        layoutMode: 'Layoutläge',
+        layoutHelp: 'Dra bilderna på plats och ersätt bildlistan för sidan i YAML-filen med texten nedan.',
+        copyYaml: 'Kopiera YAML',
+        storyAge: '{age} år',
+        storiesFailed: 'Kunde inte ladda berättelserna'
+    },
+    en: {
+        celebration: 'Happy birthday! 🎉',
+        partyCountdown: 'The party starts in {time}',
+        heroConfetti: 'Confetti raining down: {emojis}',
+        heroFloaters: 'Floating birthday emojis',
+        days: 'd',
+        hours: 'h',
+        minutes: 'min',
+        seconds: 's',
+
+        wishlist: 'Wishlist: {items}',
+        secretWish: 'Secret wish',
+        secretWishItem: 'a secret wish',
+        bought: 'bought',
+        crossedOut: 'crossed out',
+
+        images: 'Images: {alts}',
+        imageMissing: 'Image missing',
+        imageFailed: 'The image could not be loaded',
+        enlarge: 'Enlarge: {alt}',
+        enlargeImage: 'Enlarge image',
+        lightbox: 'Image viewer',
+        close: 'Close',
+        previousImage: 'Previous image',
+        nextImage: 'Next image',
+
+        lineChart: 'Line chart: {series}. All values are in the table.',
+        seriesRange: '{name} from {from} ({fromValue}) to {to} ({toValue})',
+        historical: 'History',
+        projection: 'Projection',
+        seriesNumber: 'Series {number}',
+        year: 'Year',
+
+        dots: 'Three pulsing dots',
+        guessLabel: 'Your guess',
+        guessPlaceholder: 'Your guess…',
+        guessSubmit: 'Guess',
+        giveUp: 'I give up',
+        wrongGuesses: ['No! 😠', 'Cold… 🥶', 'Not even close 😂', 'Try again!', 'Haha, no.'],
+        nearMiss: 'Almost! Check the spelling 🤏',
+        correct: 'Correct! 🎉',
+        gaveUp: 'Okay, okay… keep going and you\'ll see 👀',
+
+        locked: 'Locked slide',
+        lockedDescription: 'A padlock, this slide opens later',
+        notYet: 'Not yet…',
+        opensIn: 'Opens in {time}',
+        passcode: 'Passcode',
+        unlock: 'Unlock',
+        wrongPasscode: 'Wrong passcode 🙅',
+        unlockFailed: 'Could not unlock 😕',
+        unlockDue: 'You may open it now! Ask for the passcode 🤫',
+
+        video: 'Video',
+        videoCaptioned: 'Video with captions',
+        voiceNote: 'Voice message',
+        voiceNoteFrom: 'Voice message from {author}',
+        voiceNotesFrom: 'Voice messages from {authors}',
+        unknownAuthor: 'unknown',
+        playHint: 'Press ▶ to listen',
+        soundOn: 'Turn sound on',
+        soundOff: 'Turn sound off',
+
+        languages: 'Language',
+        fullscreen: 'Full screen',
+        layoutMode: 'Layout mode',
+        layoutHelp: 'Drag the images into place and replace the slide\'s image list in the YAML file with the text below.',
+        copyYaml: 'Copy YAML',
+        storyAge: '{age} years',
+        storiesFailed: 'Could not load the stories'
+    }
+};
+
+// Tables looked through by ui(), in order
+let uiLanguages = [DEFAULT_LANGUAGE];
+
+// language: the one shown; fallback: the story's default (metadata.language)
+export function setUiLanguage(language, fallback = DEFAULT_LANGUAGE) {
+    uiLanguages = [language, fallback, DEFAULT_LANGUAGE];
+}
+
+// UI text for key in the current language, placeholders filled from params
+export function ui(key, params = {}) {
+    const table = uiLanguages.map(language => UI_STRINGS[language]).find(strings => strings && key in strings);
+    const value = table ? table[key] : key;
+    if (typeof value !== 'string') return value; // Lists (wrongGuesses)
+    return value.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? params[name] : placeholder));
+}
+
+export function storyLanguages(metadata) {
+    return metadata.languages || [metadata.language || DEFAULT_LANGUAGE];
+}
+
+export function defaultLanguage(metadata) {
+    return metadata.language || storyLanguages(metadata)[0];
+}
+
+// ?lang=<code> if the story has it, else the story's default
+export function languageFromUrl(metadata, search = window.location.search) {
+    const requested = new URLSearchParams(search).get('lang');
+    return storyLanguages(metadata).includes(requested) ? requested : defaultLanguage(metadata);
+}
+
+// Current URL with ?lang= set, keeping ?story=, ?mode= and the #step-N hash
+export function languageUrl(language, href = window.location.href) {
+    const url = new URL(href);
+    url.searchParams.set('lang', language);
+    return url.toString();
+}
+
+// { sv: ..., en: ... }: an object whose keys are all story languages
+// (is_translation_map in scripts/export_from_yaml.py uses the same rule)
+function isTranslationMap(value, languages) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) return false;
+    const keys = Object.keys(value);
+    return keys.length > 0 && keys.every(key => languages.includes(key));
+}
+
+export function localize(data, language) {
+    const languages = storyLanguages(data.metadata);
+    const fallback = defaultLanguage(data.metadata);
+
+    const pick = value => {
+        if (Array.isArray(value)) {
+            return value.map(pick);
+        }
+        if (isTranslationMap(value, languages)) {
+            return value[language] ?? value[fallback] ?? Object.values(value)[0];
+        }
+        if (value !== null && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, pick(v)]));
+        }
+        return value;
+    };
+
+    const localized = pick(data);
+    localized.metadata.language = language;
+
+    // A plain locale string ("sv-SE") belongs to the default language; other
+    // languages format with their own code unless locale is translated too
+    if (language !== fallback && typeof data.metadata.locale === 'string') {
+        delete localized.metadata.locale;
+    }
+
+    return localized;
+}
+
+// "svenska", "English": each language named in itself
+export function languageName(language) {
+    try {
+        return new Intl.DisplayNames([language], { type: 'language' }).of(language);
+    } catch (error) {
+        return language;
+    }
+}
@@ -2,7 +2,12 @@
  * Icon Cloud Component - Reusable force-directed layout
  *
  * Creates a physics-based "cloud" of emoji icons using D3 force simulation.
- * Used for the "Ideas" slide with ~100 floating emojis.
+ * Used by the "icon-cloud" slide type (e.g. an "Ideas" slide with ~100
+ * floating emojis).
+ *
+ * Icons are either plain emoji strings or { emoji, group } objects. With
+ * options.groups (a list of labels) the icons cluster around one labelled
+ * centroid per group.
  */
 
 export class IconCloud {
@@ -14,27 +19,42 @@ export class IconCloud {
             height: options.height || window.innerHeight,
             iconSize: options.iconSize || 40,
             iconCount: options.iconCount || 100,
+            groups: options.groups || [],
+            fadeDuration: options.fadeDuration ?? 800, // 0 skips the intro fade
+            animate: options.animate ?? true, // false: settle the layout up front, no drift
             ...options
         };
     }
 
     render() {
+        const { width, height, iconSize, groups, fadeDuration } = this.options;
+
         // Create SVG
         const svg = d3.select(this.container)
             .append('svg')
-            .attr('width', this.options.width)
-            .attr('height', this.options.height);
+            .attr('width', width)
+            .attr('height', height)
+            .attr('viewBox', `0 0 ${width} ${height}`);
 
         // Prepare data (repeat icons to reach target count)
         const nodes = this.prepareNodes();
+        const centroids = this.computeCentroids();
 
         // Force simulation
         this.simulation = d3.forceSimulation(nodes)
             .force('charge', d3.forceManyBody().strength(5))
-            .force('center', d3.forceCenter(this.options.width / 2, this.options.height / 2))
-            .force('collision', d3.forceCollide().radius(this.options.iconSize / 2 + 5))
+            .force('collision', d3.forceCollide().radius(iconSize / 2 + 5))
             .alphaDecay(0.02);
 
+        if (groups.length > 1) {
+            // Pull each icon towards its group's centroid
+            this.simulation
+                .force('x', d3.forceX(d => centroids[d.group].x).strength(0.08))
+                .force('y', d3.forceY(d => centroids[d.group].y).strength(0.08));
+        } else {
+            this.simulation.force('center', d3.forceCenter(width / 2, height / 2));
+        }
+
         // Render icons as text elements
         const iconElements = svg.selectAll('.icon')
             .data(nodes)
@@ -45,18 +65,47 @@ export class IconCloud {
             .attr('text-anchor', 'middle')
             .attr('dominant-baseline', 'middle')
             .text(d => d.emoji)
+            .attr('opacity', 0);
+
+        iconElements.transition()
+            .delay((d, i) => (fadeDuration ? i * 10 : 0))
+            .duration(fadeDuration)
+            .attr('opacity', d => d.opacity);
+
+        // Group labels on top of their clusters
+        svg.selectAll('.icon-group-label')
+            .data(groups.length > 1 ? groups : [])
+            .enter()
+            .append('text')
+            .attr('class', 'icon-group-label mono')
+            .attr('x', (d, i) => centroids[i].x)
+            .attr('y', (d, i) => centroids[i].y)
+            .attr('text-anchor', 'middle')
+            .attr('dominant-baseline', 'middle')
+            .attr('font-size', 16)
+            .attr('font-weight', '600')
+            .text(d => d)
             .attr('opacity', 0)
             .transition()
-            .delay((d, i) => i * 10)
-            .duration(800)
-            .attr('opacity', d => d.opacity);
+            .delay(fadeDuration)
+            .duration(fadeDuration)
+            .attr('opacity', 1);
 
         // Update positions on simulation tick
-        this.simulation.on('tick', () => {
+        const updatePositions = () => {
             iconElements
                 .attr('x', d => d.x)
                 .attr('y', d => d.y);
-        });
+        };
+
+        if (!this.options.animate) {
+            // Reduced motion: compute the final layout without moving anything
+            this.simulation.stop().tick(300);
+            updatePositions();
+            return;
+        }
+
+        this.simulation.on('tick', updatePositions);
 
         // Add subtle drift animation
         this.driftInterval = setInterval(() => {
@@ -64,6 +113,7 @@ export class IconCloud {
                 node.vx += (Math.random() - 0.5) * 0.5;
                 node.vy += (Math.random() - 0.5) * 0.5;
             });
+            this.simulation.alpha(Math.max(this.simulation.alpha(), 0.05)).restart();
         }, 2000);
     }
 
@@ -73,23 +123,49 @@ export class IconCloud {
         }
         if (this.driftInterval) {
             clearInterval(this.driftInterval);
+            this.driftInterval = null;
         }
     }
 
+    // One centroid per group, spread on an ellipse around the center
+    computeCentroids() {
+        const { width, height, groups } = this.options;
+        if (groups.length <= 1) {
+            return [{ x: width / 2, y: height / 2 }];
+        }
+
+        const rx = width * 0.3;
+        const ry = height * 0.28;
+        return groups.map((_, i) => {
+            const angle = (i / groups.length) * 2 * Math.PI - Math.PI / 2;
+            return {
+                x: width / 2 + Math.cos(angle) * rx,
+                y: height / 2 + Math.sin(angle) * ry
+            };
+        });
+    }
+
     prepareNodes() {
         const nodes = [];
         const targetCount = this.options.iconCount;
+        const icons = this.icons.map(icon => (
+            typeof icon === 'string' ? { emoji: icon, group: 0 } : { group: 0, ...icon }
+        ));
+        const centroids = this.computeCentroids();
+        if (icons.length === 0) return nodes;
 
         // Repeat icons until we reach target count
         while (nodes.length < targetCount) {
-            this.icons.forEach(emoji => {
+            icons.forEach(({ emoji, group }) => {
                 if (nodes.length < targetCount) {
+                    const centroid = centroids[group] || centroids[0];
                     nodes.push({
                         emoji,
+                        group,
                         size: this.options.iconSize + (Math.random() - 0.5) * 20,
                         opacity: 0.5 + Math.random() * 0.5,
-                        x: Math.random() * this.options.width,
-                        y: Math.random() * this.options.height
+                        x: centroid.x + (Math.random() - 0.5) * this.options.width * 0.3,
+                        y: centroid.y + (Math.random() - 0.5) * this.options.height * 0.3
                     });
                 }
             });
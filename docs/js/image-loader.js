@@ -0,0 +1,65 @@
+/**
+ * Image Loader - Decodes slide images ahead of time, with fallbacks
+ *
+ * SVG <image> elements give no reliable load/error events across browsers,
+ * so images are loaded through an off-screen Image() first. Results are
+ * cached per image, which makes preloading the next steps and rendering the
+ * current one share the same request.
+ *
+ * An image is { url, fallback_url?, alt? }; fallback_url is tried when url
+ * fails (e.g. an expired remote link).
+ */
+
+const loads = new Map(); // url -> Promise<url>
+
+function loadUrl(url) {
+    if (!loads.has(url)) {
+        loads.set(url, new Promise((resolve, reject) => {
+            const element = new Image();
+            element.onload = () => {
+                // decode() keeps the first paint from stuttering; not every
+                // browser supports it for every format, so failures still count
+                // as loaded
+                Promise.resolve(element.decode ? element.decode() : null)
+                    .catch(() => {})
+                    .then(() => resolve(url));
+            };
+            element.onerror = () => reject(new Error(`Image failed to load: ${url}`));
+            element.src = url;
+        }));
+    }
+    return loads.get(url);
+}
+
+// Resolves with the URL that worked (url, else fallback_url)
+export function loadImage(image) {
+    const attempt = loadUrl(image.url);
+    if (!image.fallback_url) return attempt;
+
+    return attempt.catch(() => {
+        console.warn(`⚠️  Using fallback_url for ${image.url}`);
+        return loadUrl(image.fallback_url);
+    });
+}
+
+// Start loading without waiting; failures surface when the slide renders
+export function preloadImages(images) {
+    images.forEach(image => loadImage(image).catch(() => {}));
+}
+
+// Every { url } object in a slide's content
+export function slideImages(slide) {
+    const found = [];
+    const walk = value => {
+        if (Array.isArray(value)) {
+            value.forEach(walk);
+        } else if (value !== null && typeof value === 'object') {
+            if (typeof value.url === 'string') {
+                found.push(value);
+            }
+            Object.values(value).forEach(walk);
+        }
+    };
+    walk(slide.content);
+    return found;
+}
@@ -0,0 +1,42 @@
+/**
+ * Language Switcher - Buttons for the story's languages (metadata.languages)
+ *
+ * Only shown for stories with more than one language. Picking a language
+ * calls BirthdayScrollytelling.setLanguage, which re-populates the narrative
+ * and re-renders the current visualization without a reload.
+ */
+
+import { languageName, ui } from './i18n.js';
+
+export class LanguageSwitcher {
+    constructor(app, languages) {
+        this.app = app;
+        this.languages = languages;
+    }
+
+    render() {
+        this.element = document.createElement('nav');
+        this.element.className = 'language-switcher';
+
+        this.languages.forEach(language => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.lang = language;
+            button.dataset.language = language;
+            button.textContent = language.toUpperCase();
+            button.setAttribute('aria-label', languageName(language));
+            button.addEventListener('click', () => this.app.setLanguage(language));
+            this.element.appendChild(button);
+        });
+
+        document.body.appendChild(this.element);
+        this.update(this.app.language);
+    }
+
+    update(current) {
+        this.element.setAttribute('aria-label', ui('languages'));
+        this.element.querySelectorAll('button').forEach(button => {
+            button.setAttribute('aria-pressed', button.dataset.language === current ? 'true' : 'false');
+        });
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * Layout Editor - Drag scattered-images cards into place (?edit=layout)
+ *
+ * Authoring aid: on scattered-images slides every card can be dragged, and
+ * a panel shows the slide's images as YAML, each with its position (x/y as
+ * fractions of the screen, rotation in degrees), to paste over the slide's
+ * images: in data/raw/*.yaml. The entries are written out in full (alt in
+ * every language, caption, status, ...) from the story as loaded, so the
+ * paste loses nothing. Cards with an x/y keep their spot on every screen
+ * size; the others are placed around them.
+ */
+
+import { cardTransform } from './scatter-layout.js';
+import { ui } from './i18n.js';
+
+// Decimals kept for x/y fractions (0.001 ≈ 2 px on a 1920 px screen)
+const PRECISION = 3;
+
+export class LayoutEditor {
+    // story: as loaded, with translation maps
+    constructor(story, parent = document.body) {
+        this.story = story;
+        this.element = document.createElement('aside');
+        this.element.className = 'layout-editor';
+        this.element.setAttribute('aria-label', ui('layoutMode'));
+        this.element.innerHTML = `
+            <strong>${ui('layoutMode')}</strong>
+            <p>${ui('layoutHelp')}</p>
+            <textarea readonly rows="10" spellcheck="false"></textarea>
+            <button type="button">${ui('copyYaml')}</button>
+        `;
+        this.element.hidden = true;
+        parent.appendChild(this.element);
+
+        this.output = this.element.querySelector('textarea');
+        this.element.querySelector('button').addEventListener('click', event => {
+            event.stopPropagation();
+            this.copy();
+        });
+    }
+
+    static isRequested(search = window.location.search) {
+        return new URLSearchParams(search).get('edit') === 'layout';
+    }
+
+    // cards: d3 selection of card groups, bound to their { x, y, rotation,
+    // scale } layout (px); images: the slide's images, updated in place so a
+    // re-render keeps the dragged positions
+    attach(slide, cards, images, width, height) {
+        const update = () => this.show(slide, images);
+
+        cards
+            .classed('is-draggable', true)
+            .call(d3.drag()
+                .on('start', function() {
+                    d3.select(this).raise().classed('is-dragging', true);
+                })
+                .on('drag', function(event, d) {
+                    d.x = Math.max(0, Math.min(width, event.x));
+                    d.y = Math.max(0, Math.min(height, event.y));
+                    d3.select(this).attr('transform', cardTransform(d));
+                })
+                .on('end', function(event, d) {
+                    d3.select(this).classed('is-dragging', false);
+                    const image = images[cards.nodes().indexOf(this)];
+                    image.x = round(d.x / width);
+                    image.y = round(d.y / height);
+                    image.rotation = Math.round(d.rotation);
+                    update();
+                }));
+
+        // Freeze the current arrangement too, including undragged cards
+        cards.each((d, i) => {
+            images[i].x ??= round(d.x / width);
+            images[i].y ??= round(d.y / height);
+            images[i].rotation ??= Math.round(d.rotation);
+        });
+        update();
+    }
+
+    show(slide, images) {
+        const source = this.story.slides.find(s => s.id === slide.id)?.content?.images ?? images;
+        const lines = [`# ${slide.id}`, 'images:'];
+        images.forEach((image, i) => {
+            const entry = yamlEntry(source[i] ?? image);
+            const [first, ...rest] = yamlLines({ ...entry, x: image.x, y: image.y, rotation: image.rotation }, '    ');
+            lines.push(`  - ${first.trimStart()}`, ...rest);
+        });
+
+        this.output.value = lines.join('\n');
+        this.element.hidden = false;
+    }
+
+    hide() {
+        this.element.hidden = true;
+    }
+
+    copy() {
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(this.output.value)
+                .then(() => console.log('📋 Layout copied as YAML'))
+                .catch(error => console.warn('⚠️  Could not copy layout:', error));
+        } else {
+            this.output.select();
+        }
+    }
+}
+
+function round(value) {
+    return Number(value.toFixed(PRECISION));
+}
+
+// The image as written in the YAML: mirrored copies (--offline) point back
+// at their remote url, and the fields the export adds are left out
+function yamlEntry(image) {
+    if (!image.source_url) return image;
+    const { source_url: url, width, height, ...entry } = image;
+    return { ...entry, url };
+}
+
+// "key: value" lines; values are JSON (valid YAML), objects such as
+// translation maps nest one level deeper
+function yamlLines(entry, indent) {
+    return Object.entries(entry).flatMap(([key, value]) => {
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            return [`${indent}${key}:`, ...yamlLines(value, `${indent}  `)];
+        }
+        return [`${indent}${key}: ${JSON.stringify(value)}`];
+    });
+}
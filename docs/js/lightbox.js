@@ -0,0 +1,210 @@
+/**
+ * Lightbox - Full-size view of a slide's images
+ *
+ * VisualizationManager owns one instance for the whole page; builders call
+ * viz.lightbox.attach(card, images, index) on each image card. A click, tap
+ * or Enter/Space on a card opens the lightbox at that image, and the reader
+ * can step through all images of the slide:
+ * - keyboard: ←/→ between images, Escape closes, Tab stays in the dialog
+ * - touch: swipe left/right
+ *
+ * Focus returns to the card on close. Caption and credit come from the
+ * image's caption (or alt) and credit fields.
+ */
+
+import { loadImage } from './image-loader.js';
+import { ui } from './i18n.js';
+
+// Horizontal distance (px) that counts as a swipe
+const SWIPE_DISTANCE = 50;
+
+export class Lightbox {
+    constructor(parent = document.body) {
+        this.images = [];
+        this.index = 0;
+        this.opener = null;
+        this.swiped = false;
+
+        this.element = document.createElement('div');
+        this.element.className = 'lightbox';
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-modal', 'true');
+        this.element.hidden = true;
+        this.element.innerHTML = `
+            <figure class="lightbox-figure">
+                <img class="lightbox-image" alt="">
+                <p class="lightbox-missing" hidden></p>
+                <figcaption>
+                    <span class="lightbox-caption"></span>
+                    <span class="lightbox-credit mono"></span>
+                </figcaption>
+            </figure>
+            <span class="lightbox-counter mono" aria-live="polite"></span>
+            <button type="button" class="lightbox-close">✕</button>
+            <button type="button" class="lightbox-prev">‹</button>
+            <button type="button" class="lightbox-next">›</button>
+        `;
+        parent.appendChild(this.element);
+
+        this.element.querySelector('.lightbox-close').addEventListener('click', () => this.close());
+        this.element.querySelector('.lightbox-prev').addEventListener('click', () => this.show(this.index - 1));
+        this.element.querySelector('.lightbox-next').addEventListener('click', () => this.show(this.index + 1));
+
+        this.element.addEventListener('click', event => {
+            // Don't let clicks in the dialog also advance presentation mode
+            event.stopPropagation();
+            if (this.swiped) {
+                this.swiped = false; // The click that ends a swipe
+            } else if (event.target === this.element) {
+                this.close(); // Backdrop
+            }
+        });
+        this.element.addEventListener('keydown', event => this.onKeyDown(event));
+        this.listenForSwipes();
+    }
+
+    // Make the cards of a d3 selection open the lightbox at images[index]
+    attach(selection, images, index) {
+        const alt = images[index].alt;
+        selection
+            .classed('has-lightbox', true)
+            .attr('tabindex', 0)
+            .attr('role', 'button')
+            .attr('aria-label', alt ? ui('enlarge', { alt }) : ui('enlargeImage'))
+            .on('click.lightbox', event => {
+                event.stopPropagation();
+                this.open(images, index, event.currentTarget);
+            })
+            .on('keydown.lightbox', event => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    this.open(images, index, event.currentTarget);
+                }
+            });
+    }
+
+    open(images, index, opener) {
+        this.images = images;
+        this.opener = opener;
+        this.updateLabels(); // The language may have changed since the last time
+
+        const single = images.length < 2;
+        this.element.querySelector('.lightbox-prev').hidden = single;
+        this.element.querySelector('.lightbox-next').hidden = single;
+
+        this.show(index);
+        this.element.hidden = false;
+        document.body.classList.add('lightbox-open');
+        this.element.querySelector('.lightbox-close').focus();
+    }
+
+    updateLabels() {
+        this.element.setAttribute('aria-label', ui('lightbox'));
+        this.element.querySelector('.lightbox-close').setAttribute('aria-label', ui('close'));
+        this.element.querySelector('.lightbox-prev').setAttribute('aria-label', ui('previousImage'));
+        this.element.querySelector('.lightbox-next').setAttribute('aria-label', ui('nextImage'));
+    }
+
+    close() {
+        if (this.element.hidden) return;
+
+        this.element.hidden = true;
+        document.body.classList.remove('lightbox-open');
+
+        if (this.opener && this.opener.isConnected) {
+            this.opener.focus();
+        }
+        this.opener = null;
+    }
+
+    // Show images[index], wrapping around at both ends
+    show(index) {
+        const count = this.images.length;
+        this.index = (index + count) % count;
+        const image = this.images[this.index];
+
+        const img = this.element.querySelector('.lightbox-image');
+        const missing = this.element.querySelector('.lightbox-missing');
+        img.hidden = true;
+        img.removeAttribute('src');
+        img.alt = image.alt || '';
+        missing.hidden = true;
+
+        const shown = this.index;
+        loadImage(image)
+            .then(url => {
+                if (shown !== this.index) return; // Reader moved on meanwhile
+                img.src = url;
+                img.hidden = false;
+            })
+            .catch(() => {
+                if (shown !== this.index) return;
+                missing.textContent = `🖼️ ${image.alt || ui('imageFailed')}`;
+                missing.hidden = false;
+            });
+
+        this.element.querySelector('.lightbox-caption').textContent = image.caption || image.alt || '';
+        this.element.querySelector('.lightbox-credit').textContent = image.credit || '';
+        this.element.querySelector('.lightbox-counter').textContent = count > 1 ? `${this.index + 1} / ${count}` : '';
+    }
+
+    onKeyDown(event) {
+        // Keys used here shouldn't also reach presentation mode
+        event.stopPropagation();
+
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.close();
+        } else if (event.key === 'ArrowLeft') {
+            event.preventDefault();
+            this.show(this.index - 1);
+        } else if (event.key === 'ArrowRight') {
+            event.preventDefault();
+            this.show(this.index + 1);
+        } else if (event.key === 'Tab') {
+            this.trapFocus(event);
+        }
+    }
+
+    // Keep Tab cycling through the dialog's buttons
+    trapFocus(event) {
+        const buttons = [...this.element.querySelectorAll('button:not([hidden])')];
+        const first = buttons[0];
+        const last = buttons[buttons.length - 1];
+
+        if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    listenForSwipes() {
+        let start = null;
+
+        this.element.addEventListener('pointerdown', event => {
+            this.swiped = false;
+            if (event.pointerType !== 'mouse') {
+                start = { x: event.clientX, y: event.clientY };
+            }
+        });
+        this.element.addEventListener('pointerup', event => {
+            if (!start) return;
+
+            const dx = event.clientX - start.x;
+            const dy = event.clientY - start.y;
+            start = null;
+
+            if (Math.abs(dx) >= SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+                this.swiped = true;
+                this.show(this.index + (dx < 0 ? 1 : -1));
+            }
+        });
+        this.element.addEventListener('pointercancel', () => {
+            start = null;
+        });
+    }
+}
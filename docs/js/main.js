@@ -2,18 +2,43 @@
  * Main Entry Point - Maja's Birthday Scrollytelling
  *
  * Coordinates:
- * - Data loading from JSON
- * - Narrative content population
- * - ScrollTrigger setup for step changes
+ * - Data loading from JSON (story chosen by ?story=<id>)
+ * - Runtime validation against data/story.schema.json
+ * - Picking the story language (?lang=<code>) and switching it live, UI
+ *   text included (see i18n.js)
+ * - Building viz/narrative panels from data.slides
+ * - Narrative content population (via the slide type registry)
+ * - ScrollTrigger setup for step changes (or PresentationMode for ?mode=present)
+ * - URL hash (#step-4) kept in sync for deep links
  * - Visualization updates via VisualizationManager
+ * - Service worker registration for offline use (sw.js)
+ * - Layout editor for authoring (?edit=layout)
+ * - Locking the slides after an unsolved guess (see guess.js)
+ * - Swapping in encrypted slides once they unlock (see unlock.js)
+ * - Soundtrack and per-slide audio cues (see soundtrack.js)
  */
 
 import { VisualizationManager } from './visualizations.js';
+import { getSlideType } from './slide-registry.js';
+import { loadStory } from './stories.js';
+import { validateStory } from './schema.js';
+import { escapeHtml } from './text.js';
+import { PresentationMode } from './presentation.js';
+import { localize, languageFromUrl, languageUrl, storyLanguages, defaultLanguage, setUiLanguage } from './i18n.js';
+import { LanguageSwitcher } from './language-switcher.js';
+import { registerServiceWorker } from './offline.js';
+import { LayoutEditor } from './layout-editor.js';
+import { isGuessSolved } from './guess.js';
+import { Soundtrack } from './soundtrack.js';
+import './slide-types.js';
 
 class BirthdayScrollytelling {
     constructor() {
-        this.data = null;
+        this.story = null; // As loaded, with translation maps
+        this.data = null; // this.story in the current language
+        this.language = null;
         this.vizManager = null;
+        this.soundtrack = null; // Only for stories with audio
         this.currentStep = -1;
     }
 
@@ -21,24 +46,58 @@ class BirthdayScrollytelling {
         try {
             console.log('🎉 Initializing birthday scrollytelling...');
 
-            // 1. Load JSON data
-            this.data = await this.loadData();
-            console.log(`📊 Loaded ${this.data.slides.length} slides`);
+            // 1. Load JSON data, in the ?lang= (or default) language
+            this.story = await this.loadData();
+            this.language = languageFromUrl(this.story.metadata);
+            this.data = localize(this.story, this.language);
+            setUiLanguage(this.language, defaultLanguage(this.story.metadata));
+            console.log(`📊 Loaded ${this.data.slides.length} slides (${this.language})`);
 
-            // 2. Populate narrative content
+            // 2. Build panels and populate narrative content
+            this.buildPanels();
             this.populateNarrative();
             console.log('✍️  Narrative content populated');
 
+            this.lockedSteps = new Set();
+            this.updateLocks();
+            document.addEventListener('guess-solved', () => this.onGuessSolved());
+            document.addEventListener('slide-unlocked', event => this.onSlideUnlocked(event.detail.slide));
+
             // 3. Initialize visualization manager
             this.vizManager = new VisualizationManager(this.data);
+            document.documentElement.lang = this.language;
             console.log('🎨 Visualization manager initialized');
 
-            // 4. Setup ScrollTrigger
-            this.setupScrollTriggers();
-            console.log('📜 ScrollTrigger configured');
+            if (LayoutEditor.isRequested()) {
+                this.vizManager.layoutEditor = new LayoutEditor(this.story);
+                console.log('✏️  Layout editor enabled');
+            }
+
+            this.setupSoundtrack();
+
+            const languages = storyLanguages(this.story.metadata);
+            if (languages.length > 1) {
+                this.languageSwitcher = new LanguageSwitcher(this, languages);
+                this.languageSwitcher.render();
+            }
+
+            // 4. Setup ScrollTrigger, or keyboard/clicker navigation in ?mode=present
+            const initialStep = this.stepFromHash() ?? this.data.slides[0].step;
+            if (PresentationMode.isRequested()) {
+                this.presentation = new PresentationMode(this);
+                this.presentation.start(initialStep);
+                console.log('🖥️  Presentation mode');
+            } else {
+                this.setupScrollTriggers();
+                console.log('📜 ScrollTrigger configured');
+
+                // 5. Render first (or deep-linked) step
+                this.scrollToStep(initialStep);
+                this.onStepEnter(initialStep);
+            }
 
-            // 5. Render first step
-            this.onStepEnter(0);
+            window.addEventListener('hashchange', () => this.onHashChange());
+            registerServiceWorker();
             console.log('✅ Ready!');
 
         } catch (error) {
@@ -48,113 +107,163 @@ class BirthdayScrollytelling {
     }
 
     async loadData() {
-        const response = await fetch('data/birthday_data.json');
-        if (!response.ok) {
-            throw new Error(`Failed to load data: ${response.statusText}`);
-        }
-        return response.json();
+        // Story picked by ?story=<id>, see data/stories.json
+        const data = await loadStory();
+
+        // Reject malformed stories up front instead of half-rendering them
+        return validateStory(data);
     }
 
-    populateNarrative() {
+    buildPanels() {
+        const vizPanel = document.querySelector('.visualization-panel');
+        const narrativePanel = document.querySelector('.narrative-panel');
+        const spacer = narrativePanel.querySelector('.scroll-spacer');
+
         this.data.slides.forEach(slide => {
-            const step = slide.step;
-            const narrativeStep = document.querySelector(`.narrative-step[data-step="${step}"]`);
-            if (!narrativeStep) return;
-
-            const content = narrativeStep.querySelector('.narrative-content');
-            if (!content) return;
-
-            switch (slide.type) {
-                case 'hero':
-                    this.populateHero(content, slide);
-                    break;
-                case 'scattered-images':
-                    this.populateScatteredImages(content, slide);
-                    break;
-                case 'kpi-cards':
-                    this.populateKPIs(content, slide);
-                    break;
-                case 'line-chart':
-                    this.populateChart(content, slide);
-                    break;
-                case 'image-grid':
-                    this.populateImageGrid(content, slide);
-                    break;
-                case 'text-with-dots':
-                    this.populateText(content, slide);
-                    break;
-                case 'quote-bubbles':
-                    this.populateQuoteBubbles(content, slide);
-                    break;
-                case 'image-single':
-                    this.populateImageSingle(content, slide);
-                    break;
+            // Viz container, rendered into by VisualizationManager
+            const viz = document.createElement('div');
+            viz.id = `viz-step-${slide.step}`;
+            viz.className = 'viz-step';
+            viz.dataset.vizStep = slide.step;
+            viz.setAttribute('aria-hidden', 'true');
+            viz.inert = true;
+            vizPanel.appendChild(viz);
+
+            // Narrative section; slide.layout ("hero", "centered") styles the box
+            const section = document.createElement('section');
+            section.className = 'narrative-step';
+            section.dataset.step = slide.step;
+            if (slide.layout === 'hero') {
+                section.classList.add('hero-step');
             }
+
+            const content = document.createElement('div');
+            content.className = 'narrative-content';
+            if (slide.layout) {
+                content.classList.add(slide.layout);
+            }
+
+            section.appendChild(content);
+            narrativePanel.insertBefore(section, spacer);
         });
     }
 
-    populateHero(content, slide) {
-        const { title, subtitle, emojis } = slide.content;
-        content.innerHTML = `
-            <h1>${title}<br>${subtitle}</h1>
-            <div class="emojis">${emojis}</div>
-        `;
+    populateNarrative() {
+        this.data.slides.forEach(slide => this.populateSlide(slide));
     }
 
-    populateScatteredImages(content, slide) {
-        content.innerHTML = `
-            <p class="wishlist-intro">${slide.content.intro}</p>
-        `;
+    populateSlide(slide) {
+        const step = slide.step;
+        const narrativeStep = document.querySelector(`.narrative-step[data-step="${step}"]`);
+        if (!narrativeStep) return;
+
+        const content = narrativeStep.querySelector('.narrative-content');
+        if (!content) return;
+
+        const slideType = getSlideType(slide.type);
+        if (!slideType) {
+            console.warn(`⚠️  No slide type registered for "${slide.type}" (step ${step})`);
+            return;
+        }
+
+        slideType.populate(content, slide, this.data.metadata);
     }
 
-    populateImageGrid(content, slide) {
-        content.innerHTML = `
-            <p>${slide.content.text}</p>
-        `;
+    // The reveal after an unsolved guess (content.guess) is hidden, so it
+    // can't be scrolled or clicked to before guessing or giving up. It starts
+    // at the slide named by guess.reveal, or right after the guess slide.
+    updateLocks() {
+        const slides = this.data.slides;
+        const gate = slides.findIndex(slide => slide.content.guess && !isGuessSolved(slide));
+        let locked = [];
+        if (gate !== -1) {
+            const reveal = slides.findIndex(slide => slide.id === slides[gate].content.guess.reveal);
+            locked = slides.slice(reveal > gate ? reveal : gate + 1);
+        }
+        this.lockedSteps = new Set(locked.map(slide => slide.step));
+
+        document.querySelectorAll('.narrative-step').forEach(section => {
+            section.hidden = this.isLocked(Number(section.dataset.step));
+        });
     }
 
-    populateImageSingle(content, slide) {
-        content.innerHTML = `
-            <p style="font-size: 1.8rem; font-weight: 600;">${slide.content.text}</p>
-        `;
+    isLocked(step) {
+        return this.lockedSteps.has(step);
     }
 
-    populateText(content, slide) {
-        content.innerHTML = `
-            <p>${slide.content.text}</p>
-        `;
+    onGuessSolved() {
+        this.updateLocks();
+        if (!this.presentation) {
+            ScrollTrigger.refresh(); // The page just got longer
+        }
+        console.log(`🔓 Unlocked, ${this.lockedSteps.size} slide(s) still locked`);
     }
 
-    populateQuoteBubbles(content, slide) {
-        content.innerHTML = `
-            <p style="font-style: italic; margin-bottom: 1.5rem;">${slide.content.text}</p>
-        `;
+    // A locked slide opened (see unlock.js): swap the decrypted slide into
+    // the story and show it in place of the lock
+    onSlideUnlocked(slide) {
+        const index = this.story.slides.findIndex(({ step }) => step === slide.step);
+        if (index === -1) return; // From a story (or box) that is no longer shown
+        this.story.slides[index] = slide;
+        this.data = localize(this.story, this.language);
+
+        this.populateSlide(this.data.slides[index]);
+        this.updateLocks();
+        this.vizManager.setData(this.data);
+        this.setupSoundtrack(); // The slide may have brought the first audio cue
     }
 
-    populateKPIs(content, slide) {
-        const { intro, highlight } = slide.content;
-        content.innerHTML = `
-            <p>${intro} <em>${highlight}</em></p>
-        `;
+    setupSoundtrack() {
+        if (this.soundtrack || !Soundtrack.isNeeded(this.data)) return;
+
+        this.soundtrack = new Soundtrack(this.data.metadata);
+        this.soundtrack.render();
+        console.log('🎵 Soundtrack ready (muted until turned on)');
     }
 
-    populateChart(content, slide) {
-        content.innerHTML = `
-            <p>${slide.content.intro}</p>
-        `;
+    // Swap the story language in place: new narrative text, current step
+    // re-rendered, ?lang= updated so reloads and shared links keep it
+    setLanguage(language) {
+        if (language === this.language) return;
+
+        this.language = language;
+        this.data = localize(this.story, language);
+        setUiLanguage(language, defaultLanguage(this.story.metadata));
+        document.documentElement.lang = language;
+
+        this.populateNarrative();
+        this.vizManager.setData(this.data);
+
+        // Labels of the controls outside the slides
+        if (this.languageSwitcher) {
+            this.languageSwitcher.update(language);
+        }
+        if (this.soundtrack) {
+            this.soundtrack.updateButton();
+        }
+        if (this.presentation) {
+            this.presentation.updateControls();
+        }
+        history.replaceState(null, '', languageUrl(language));
+        console.log(`🌐 Language: ${language}`);
     }
 
     setupScrollTriggers() {
         gsap.registerPlugin(ScrollTrigger);
 
         // Create ScrollTrigger for each narrative step
-        document.querySelectorAll('.narrative-step').forEach((step, index) => {
+        document.querySelectorAll('.narrative-step').forEach(step => {
+            const stepIndex = Number(step.dataset.step);
             ScrollTrigger.create({
                 trigger: step,
                 start: 'top center',
                 end: 'bottom center',
-                onEnter: () => this.onStepEnter(index),
-                onEnterBack: () => this.onStepEnter(index),
+                onEnter: () => this.onStepEnter(stepIndex),
+                onEnterBack: () => this.onStepEnter(stepIndex),
+                // Drives progress(t) hooks of scroll-scrubbed visualizations
+                onUpdate: self => {
+                    if (!this.isLocked(stepIndex)) this.vizManager.setProgress(stepIndex, self.progress);
+                },
                 once: false,  // Allow re-triggering when scrolling back
                 // markers: true,  // Uncomment for debugging
             });
@@ -164,7 +273,9 @@ class BirthdayScrollytelling {
     }
 
     onStepEnter(stepIndex) {
-        if (this.currentStep === stepIndex) return;
+        // A hidden (locked) section has no height, so its trigger fires while
+        // scrolling past its neighbours
+        if (this.currentStep === stepIndex || this.isLocked(stepIndex)) return;
 
         // Debounce: prevent rapid-fire calls
         if (this.stepChangeTimeout) {
@@ -175,24 +286,71 @@ class BirthdayScrollytelling {
             console.log(`🔄 Step ${stepIndex} entered`);
             this.currentStep = stepIndex;
 
-            // Update active viz panel
+            // Update active viz panel (hidden panels are hidden from screen
+            // readers and keyboard focus too)
             document.querySelectorAll('.viz-step').forEach(viz => {
                 viz.classList.remove('active');
+                viz.setAttribute('aria-hidden', 'true');
+                viz.inert = true;
             });
             const activeViz = document.querySelector(`[data-viz-step="${stepIndex}"]`);
             if (activeViz) {
                 activeViz.classList.add('active');
+                activeViz.removeAttribute('aria-hidden');
+                activeViz.inert = false;
             }
 
             // Trigger visualization update
             this.vizManager.updateVisualization(stepIndex);
+
+            // Crossfade to the slide's audio cue (or back to the soundtrack)
+            if (this.soundtrack) {
+                const slide = this.data.slides.find(({ step }) => step === stepIndex);
+                this.soundtrack.enter(slide, getSlideType(slide.type));
+            }
+
+            // Keep #step-N in sync so the slide can be deep-linked/reloaded
+            history.replaceState(null, '', `#step-${stepIndex}`);
         }, 100);
     }
 
+    // Step from a #step-N hash, or null if absent / not in this story / locked
+    stepFromHash() {
+        const match = window.location.hash.match(/^#step-(\d+)$/);
+        const step = match ? Number(match[1]) : null;
+        return this.data.slides.some(slide => slide.step === step) && !this.isLocked(step) ? step : null;
+    }
+
+    scrollToStep(step) {
+        const section = document.querySelector(`.narrative-step[data-step="${step}"]`);
+        if (section && step !== this.data.slides[0].step) {
+            section.scrollIntoView();
+        }
+    }
+
+    onHashChange() {
+        const step = this.stepFromHash();
+        if (step === null || step === this.currentStep) return;
+
+        if (this.presentation) {
+            this.presentation.showStep(step);
+        } else {
+            this.scrollToStep(step);
+        }
+    }
+
     showError(error) {
+        // Validation errors carry every problem found, list them all
+        const problems = (error.errors || [])
+            .map(({ path, message }) => `<li><code>${escapeHtml(path)}</code>: ${escapeHtml(message)}</li>`)
+            .join('');
+
         document.body.innerHTML = `
             <div class="loading">
-                <p>❌ Error loading birthday present: ${error.message}</p>
+                <div>
+                    <p>❌ Error loading birthday present: ${escapeHtml(error.message)}</p>
+                    ${problems ? `<ul class="error-list">${problems}</ul>` : ''}
+                </div>
             </div>
         `;
     }
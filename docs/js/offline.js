@@ -0,0 +1,15 @@
+/**
+ * Offline Support - Registers the service worker (sw.js)
+ *
+ * After the first visit the story, its images, fonts and libraries are
+ * served from the service worker's cache, so the page still works when the
+ * venue Wi-Fi doesn't.
+ */
+
+export function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('sw.js')
+        .then(() => console.log('📴 Service worker registered'))
+        .catch(error => console.warn('⚠️  Service worker not registered:', error));
+}
@@ -0,0 +1,173 @@
+/**
+ * Presentation Mode - Step through the story like slides (?mode=present)
+ *
+ * For showing the story on a TV: instead of scrolling, slides are changed
+ * with arrow keys, space, page up/down (what most clickers send) or a click
+ * anywhere. Shows a progress indicator and a fullscreen toggle.
+ *
+ * Reuses BirthdayScrollytelling.onStepEnter (and through it
+ * VisualizationManager.updateVisualization). Since there is no scroll
+ * position, progress(t) hooks are played from 0 to 1 after each step change.
+ */
+
+import { ui } from './i18n.js';
+
+const NEXT_KEYS = ['ArrowRight', 'ArrowDown', 'PageDown', ' '];
+const PREV_KEYS = ['ArrowLeft', 'ArrowUp', 'PageUp', 'Backspace'];
+
+// How long the progress(t) playback takes per slide (seconds)
+const PROGRESS_DURATION = 3;
+
+function isWithin(target, selector) {
+    return target instanceof Element && target.closest(selector) !== null;
+}
+
+export class PresentationMode {
+    constructor(app) {
+        this.app = app;
+        this.steps = app.data.slides.map(slide => slide.step);
+        this.index = 0;
+        this.progressTween = null;
+    }
+
+    static isRequested(search = window.location.search) {
+        return new URLSearchParams(search).get('mode') === 'present';
+    }
+
+    start(initialStep) {
+        document.body.classList.add('present-mode');
+        this.buildControls();
+
+        document.addEventListener('keydown', event => this.onKeyDown(event));
+        document.addEventListener('click', event => this.onClick(event));
+        document.addEventListener('fullscreenchange', () => this.updateControls());
+
+        const index = this.steps.indexOf(initialStep);
+        this.goTo(index === -1 ? 0 : index);
+    }
+
+    buildControls() {
+        this.controls = document.createElement('div');
+        this.controls.className = 'presentation-controls';
+        this.controls.innerHTML = `
+            <div class="presentation-progress" role="progressbar" aria-valuemin="1">
+                <div class="presentation-progress-bar"></div>
+            </div>
+            <span class="presentation-counter" aria-live="polite"></span>
+            <button type="button" class="presentation-fullscreen">⛶</button>
+        `;
+
+        this.controls.querySelector('.presentation-fullscreen')
+            .addEventListener('click', event => {
+                this.toggleFullscreen();
+                event.currentTarget.blur(); // Keep space/arrows for navigation
+            });
+
+        document.body.appendChild(this.controls);
+    }
+
+    updateControls() {
+        const position = this.index + 1;
+        const total = this.steps.length;
+
+        const progress = this.controls.querySelector('.presentation-progress');
+        progress.setAttribute('aria-valuemax', total);
+        progress.setAttribute('aria-valuenow', position);
+        this.controls.querySelector('.presentation-progress-bar').style.width = `${(position / total) * 100}%`;
+        this.controls.querySelector('.presentation-counter').textContent = `${position} / ${total}`;
+
+        const button = this.controls.querySelector('.presentation-fullscreen');
+        button.setAttribute('aria-label', ui('fullscreen'));
+        button.setAttribute('aria-pressed', document.fullscreenElement ? 'true' : 'false');
+    }
+
+    goTo(index) {
+        if (index < 0 || index >= this.steps.length) return;
+        if (this.app.isLocked(this.steps[index])) return; // Guess first
+
+        this.index = index;
+        const step = this.steps[index];
+
+        // Only the current narrative step is shown
+        document.querySelectorAll('.narrative-step').forEach(section => {
+            section.classList.toggle('is-current', Number(section.dataset.step) === step);
+        });
+
+        this.app.onStepEnter(step);
+        this.playProgress(step);
+        this.updateControls();
+    }
+
+    next() {
+        this.goTo(this.index + 1);
+    }
+
+    previous() {
+        this.goTo(this.index - 1);
+    }
+
+    // Play the step's progress(t) hook from 0 to 1, as if scrolled through
+    playProgress(step) {
+        if (this.progressTween) {
+            this.progressTween.kill();
+        }
+
+        const state = { t: 0 };
+        this.app.vizManager.setProgress(step, 0);
+        this.progressTween = gsap.to(state, {
+            t: 1,
+            duration: PROGRESS_DURATION,
+            ease: 'none',
+            onUpdate: () => this.app.vizManager.setProgress(step, state.t)
+        });
+    }
+
+    // Follow hash edits (e.g. typing #step-4 in the address bar)
+    showStep(step) {
+        const index = this.steps.indexOf(step);
+        if (index !== -1 && index !== this.index) {
+            this.goTo(index);
+        }
+    }
+
+    onKeyDown(event) {
+        // Leave typing in form fields alone
+        if (isWithin(event.target, 'input, textarea, select, [contenteditable]')) return;
+        if (event.altKey || event.ctrlKey || event.metaKey) return;
+
+        if (event.key === ' ' && event.shiftKey) {
+            event.preventDefault();
+            this.previous();
+        } else if (NEXT_KEYS.includes(event.key)) {
+            event.preventDefault();
+            this.next();
+        } else if (PREV_KEYS.includes(event.key)) {
+            event.preventDefault();
+            this.previous();
+        } else if (event.key === 'Home') {
+            event.preventDefault();
+            this.goTo(0);
+        } else if (event.key === 'End') {
+            event.preventDefault();
+            this.goTo(this.steps.length - 1);
+        } else if (event.key === 'f') {
+            this.toggleFullscreen();
+        }
+    }
+
+    onClick(event) {
+        // Links, buttons and form fields keep their own behavior
+        if (isWithin(event.target, 'a, button, input, textarea, select, label, .presentation-controls')) return;
+        this.next();
+    }
+
+    toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        } else if (document.documentElement.requestFullscreen) {
+            document.documentElement.requestFullscreen().catch(error => {
+                console.warn('⚠️  Fullscreen not available:', error);
+            });
+        }
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * Scatter Layout - Positions for the scattered-images cards
+ *
+ * Cards are placed one by one at the best of a number of random candidate
+ * spots: the one overlapping least with cards already placed and with the
+ * areas to avoid (the narrative box), and among free spots the one farthest
+ * from the other cards. Images with an explicit x/y keep it, and are placed
+ * first so the others avoid them.
+ *
+ * All randomness comes from the given random() (see seededRandom), so a
+ * story with a "seed" is laid out the same way on every visit.
+ */
+
+// Candidate spots tried per card; more spreads cards out better
+const CANDIDATES = 40;
+
+// Extra cost for covering an avoided area compared to another card
+const AVOID_WEIGHT = 4;
+
+// Deterministic random() in [0, 1) for a numeric or string seed (mulberry32)
+export function seededRandom(seed) {
+    let state = typeof seed === 'number' ? seed >>> 0 : hashString(String(seed));
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// FNV-1a
+function hashString(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+}
+
+function overlapArea(a, b) {
+    const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+    const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+    return width > 0 && height > 0 ? width * height : 0;
+}
+
+// Axis-aligned box around a rotated, scaled card centered at (x, y)
+function cardBox(x, y, cardWidth, cardHeight, rotation, scale) {
+    const angle = rotation * Math.PI / 180;
+    const cos = Math.abs(Math.cos(angle));
+    const sin = Math.abs(Math.sin(angle));
+    const width = (cardWidth * cos + cardHeight * sin) * scale;
+    const height = (cardWidth * sin + cardHeight * cos) * scale;
+    return { x: x - width / 2, y: y - height / 2, width, height };
+}
+
+/**
+ * @param images - [{ x?, y?, rotation? }], x/y as fractions (0..1) of the
+ *   area for the card's center, rotation in degrees
+ * @param options - { width, height, cardWidth, cardHeight, margin,
+ *   avoid: [{ x, y, width, height }], random, maxRotation, scaleRange: [min, max] }
+ * @returns [{ x, y, rotation, scale }] card centers in px, in image order
+ */
+export function scatterLayout(images, options) {
+    const {
+        width, height, cardWidth, cardHeight,
+        margin = 0,
+        avoid = [],
+        random = Math.random,
+        maxRotation = 25,
+        scaleRange = [1, 1]
+    } = options;
+
+    // Random values are drawn in image order, and drawn even when pinned, so
+    // adding x/y or rotation to one image doesn't reshuffle the others
+    const cards = images.map(image => {
+        const turn = random();
+        return {
+            image,
+            rotation: image.rotation ?? (turn * 2 - 1) * maxRotation,
+            scale: scaleRange[0] + random() * (scaleRange[1] - scaleRange[0]),
+            candidates: Array.from({ length: CANDIDATES }, () => [random(), random()])
+        };
+    });
+
+    const placed = [];
+    const place = (card, x, y) => {
+        card.x = x;
+        card.y = y;
+        placed.push(cardBox(x, y, cardWidth, cardHeight, card.rotation, card.scale));
+    };
+
+    cards
+        .filter(({ image }) => image.x !== undefined && image.y !== undefined)
+        .forEach(card => place(card, card.image.x * width, card.image.y * height));
+
+    cards
+        .filter(card => card.x === undefined)
+        .forEach(card => {
+            const box = cardBox(0, 0, cardWidth, cardHeight, card.rotation, card.scale);
+            // Range for the center that keeps the card inside the margins
+            const range = (size, extent) => {
+                const min = margin + extent / 2;
+                return [min, Math.max(min, size - margin - extent / 2)];
+            };
+            const [minX, maxX] = range(width, box.width);
+            const [minY, maxY] = range(height, box.height);
+
+            let best = null;
+            card.candidates.forEach(([u, v]) => {
+                const x = minX + u * (maxX - minX);
+                const y = minY + v * (maxY - minY);
+                const candidate = { x: x + box.x, y: y + box.y, width: box.width, height: box.height };
+
+                const cost = placed.reduce((sum, other) => sum + overlapArea(candidate, other), 0)
+                    + AVOID_WEIGHT * avoid.reduce((sum, area) => sum + overlapArea(candidate, area), 0);
+                const distance = placed.reduce((min, other) => Math.min(min,
+                    Math.hypot(other.x + other.width / 2 - x, other.y + other.height / 2 - y)), Infinity);
+
+                if (!best || cost < best.cost || (cost === best.cost && distance > best.distance)) {
+                    best = { x, y, cost, distance };
+                }
+            });
+            place(card, best.x, best.y);
+        });
+
+    return cards.map(({ x, y, rotation, scale }) => ({ x, y, rotation, scale }));
+}
+
+// SVG transform for a card group centered at (x, y)
+export function cardTransform({ x, y, rotation, scale }) {
+    return `translate(${x}, ${y}) rotate(${rotation}) scale(${scale})`;
+}
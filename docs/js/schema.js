@@ -0,0 +1,165 @@
+/**
+ * Story Schema Validation - Runtime check of story JSON against
+ * data/story.schema.json (the same schema the export script uses)
+ *
+ * Implements the JSON Schema keywords the story schema relies on:
+ * type, enum, const, minimum, minLength, minItems, maxItems, required,
+ * properties, additionalProperties (as a schema), items, $ref (local), allOf,
+ * anyOf, oneOf and if/then/else.
+ *
+ * Collects every problem instead of stopping at the first one, so a broken
+ * story can be fixed in one pass.
+ */
+
+const SCHEMA_URL = 'data/story.schema.json';
+
+export class StoryValidationError extends Error {
+    constructor(errors) {
+        super(`Story data has ${errors.length} problem${errors.length === 1 ? '' : 's'}`);
+        this.name = 'StoryValidationError';
+        this.errors = errors; // [{ path, message }]
+    }
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function formatPath(path) {
+    return path.reduce((out, key) => (
+        typeof key === 'number' ? `${out}[${key}]` : (out ? `${out}.${key}` : key)
+    ), '') || '(root)';
+}
+
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Only local $ref supported, got "${ref}"`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => node[key], root);
+}
+
+function validateNode(value, schema, path, root, errors) {
+    const fail = message => errors.push({ path: formatPath(path), message });
+
+    if (schema.$ref) {
+        validateNode(value, resolveRef(root, schema.$ref), path, root, errors);
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            fail(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+            return; // Deeper checks would only repeat the same problem
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+    if ('const' in schema && value !== schema.const) {
+        fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+        fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && typeof value === 'number' && value > schema.maximum) {
+        fail(`must be <= ${schema.maximum}`);
+    }
+    if (schema.minLength !== undefined && typeof value === 'string' && value.length < schema.minLength) {
+        fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => validateNode(item, schema.items, [...path, i], root, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                fail(`missing required "${key}"`);
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+            if (key in value) {
+                validateNode(value[key], propSchema, [...path, key], root, errors);
+            }
+        });
+        if (typeof schema.additionalProperties === 'object') {
+            Object.keys(value)
+                .filter(key => !(key in (schema.properties || {})))
+                .forEach(key => validateNode(value[key], schema.additionalProperties, [...path, key], root, errors));
+        }
+    }
+
+    (schema.allOf || []).forEach(sub => validateNode(value, sub, path, root, errors));
+
+    if (schema.anyOf || schema.oneOf) {
+        const branches = schema.anyOf || schema.oneOf;
+        const passing = branches.filter(sub => isValid(value, sub, path, root)).length;
+        if (passing === 0 || (schema.oneOf && passing > 1)) {
+            fail(schema.description || `does not match ${schema.oneOf ? 'exactly one' : 'any'} allowed shape`);
+        }
+    }
+
+    if (schema.if) {
+        const branch = isValid(value, schema.if, path, root) ? schema.then : schema.else;
+        if (branch) {
+            validateNode(value, branch, path, root, errors);
+        }
+    }
+}
+
+function isValid(value, schema, path, root) {
+    const errors = [];
+    validateNode(value, schema, path, root, errors);
+    return errors.length === 0;
+}
+
+export function validate(data, schema) {
+    const errors = [];
+    validateNode(data, schema, [], schema, errors);
+    return errors;
+}
+
+// Cross-slide rule JSON Schema can't express: panels are keyed by step
+function duplicateStepErrors(data) {
+    const seen = new Set();
+    return (Array.isArray(data?.slides) ? data.slides : []).flatMap((slide, i) => {
+        if (!slide || !Number.isInteger(slide.step)) return [];
+        if (seen.has(slide.step)) {
+            return [{ path: formatPath(['slides', i, 'step']), message: `duplicate step ${slide.step}` }];
+        }
+        seen.add(slide.step);
+        return [];
+    });
+}
+
+export async function validateStory(data) {
+    const response = await fetch(SCHEMA_URL);
+    if (!response.ok) {
+        throw new Error(`Failed to load schema: ${response.statusText}`);
+    }
+
+    const errors = [...validate(data, await response.json()), ...duplicateStepErrors(data)];
+    if (errors.length > 0) {
+        throw new StoryValidationError(errors);
+    }
+    return data;
+}
@@ -0,0 +1,42 @@
+/**
+ * Slide Type Registry - Pluggable slide types keyed by slide.type
+ *
+ * Each slide type supplies:
+ * - populate(content, slide, metadata): fills the step's .narrative-content
+ *   element (metadata is the story's, e.g. for the hero's age and countdown)
+ * - render(container, slide, viz): builds the D3 visualization inside the
+ *   step's viz container (viz is the VisualizationManager). May return a
+ *   handle with stop() (called when the step is left) and/or progress(t)
+ *   (called with the step's scroll progress, 0..1).
+ * - describe(slide) (optional): { title, description } used as the
+ *   visualization's accessible name and description
+ * - ducksAudio (optional): true for types with their own sound (video,
+ *   voice notes), so the soundtrack is turned down on them (soundtrack.js)
+ *
+ * Built-in types are registered in slide-types.js. Other modules can add
+ * their own types with a register call, as long as they run before the
+ * story initializes (module scripts execute before DOMContentLoaded):
+ *
+ *   import { registerSlideType } from './js/slide-registry.js';
+ *   registerSlideType('my-type', { populate, render });
+ */
+
+const slideTypes = new Map();
+
+export function registerSlideType(type, definition) {
+    const { populate, render } = definition;
+
+    if (typeof populate !== 'function' || typeof render !== 'function') {
+        throw new Error(`Slide type "${type}" needs both populate() and render()`);
+    }
+
+    if (slideTypes.has(type)) {
+        console.warn(`⚠️  Slide type "${type}" re-registered, replacing previous definition`);
+    }
+
+    slideTypes.set(type, definition);
+}
+
+export function getSlideType(type) {
+    return slideTypes.get(type) || null;
+}
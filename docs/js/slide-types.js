@@ -0,0 +1,282 @@
+/**
+ * Built-in Slide Types
+ *
+ * Registers every slide type used by birthday_data.yaml. Each entry pairs
+ * the narrative populator with its VisualizationManager builder, so adding
+ * a new type only touches this file (plus the builder itself).
+ *
+ * Populators get (content, slide, metadata) and must pass all story text
+ * through text() (see text.js), never interpolate it into innerHTML directly.
+ *
+ * describe(slide, viz) returns the { title, description } screen readers get
+ * for the visualization (applied by VisualizationManager.describeViz); numbers
+ * go through viz.format so they match what is drawn. The app's own words
+ * (labels, defaults, descriptions) come from ui() in i18n.js.
+ */
+
+import { registerSlideType } from './slide-registry.js';
+import { formatText } from './text.js';
+import { chartSeries } from './chart-data.js';
+import { renderGuess } from './guess.js';
+import { renderLock } from './unlock.js';
+import { fillPlaceholders, partyDate } from './birthday.js';
+import { formatRemaining, startCountdown } from './countdown.js';
+import { ui } from './i18n.js';
+
+// Escaped (or sanitized markdown, if the slide opts in) HTML for slide text
+const text = (slide, value) => formatText(value, { markdown: slide.markdown === true });
+
+// Image alt texts as one sentence, for describe()
+const altList = images => images.map(img => img.alt).filter(Boolean).join(', ');
+
+// Wishlist statuses ("wanted" is the default and needs no label); label
+// is a ui() key
+const WISHLIST_STATUS = {
+    bought: { label: 'bought', marker: '✓' },
+    'crossed-out': { label: 'crossedOut', marker: '✗' }
+};
+
+// A wishlist image for describe(): "Ivar väggskåp (köpt)"; secrets stay secret
+function wishlistLabel(img) {
+    if (img.status === 'secret') return ui('secretWishItem');
+    const status = WISHLIST_STATUS[img.status];
+    return img.alt && status ? `${img.alt} (${ui(status.label)})` : img.alt;
+}
+
+// Checklist row for the narrative panel (scattered-images "checklist: true")
+function wishlistItem(slide, img) {
+    const status = img.status || 'wanted';
+    if (status === 'secret') {
+        return `<li class="wishlist-item secret"><span class="wishlist-item-text">${ui('secretWish')} 🤫</span></li>`;
+    }
+
+    const { label, marker } = WISHLIST_STATUS[status] || {};
+    return `
+        <li class="wishlist-item ${status}">
+            ${marker ? `<span class="wishlist-item-marker" aria-hidden="true">${marker}</span>` : ''}
+            <span class="wishlist-item-text${status === 'crossed-out' ? ' strikethrough' : ''}">${text(slide, img.alt || '')}</span>
+            ${label ? `<span class="sr-only">(${ui(label)})</span>` : ''}
+            ${img.note ? `<span class="wishlist-item-note">${text(slide, img.note)}</span>` : ''}
+        </li>`;
+}
+
+// Stops a hero's party countdown, by slide id; replaced when re-populated
+const heroCountdowns = new Map();
+
+registerSlideType('hero', {
+    populate(content, slide, metadata) {
+        const { title, subtitle, emojis, celebration } = slide.content;
+        content.innerHTML = `
+            <h1>${text(slide, fillPlaceholders(title, metadata))}<br>${text(slide, fillPlaceholders(subtitle, metadata))}</h1>
+            <p class="hero-countdown" hidden></p>
+            <div class="emojis">${text(slide, emojis)}</div>
+        `;
+
+        // Live countdown to metadata.party_date, then the celebration line
+        // (content.celebration, or the default one)
+        heroCountdowns.get(slide.id)?.();
+        const party = partyDate(metadata);
+        if (!party) return;
+
+        const countdown = content.querySelector('.hero-countdown');
+        countdown.hidden = false;
+        heroCountdowns.set(slide.id, startCountdown(party, {
+            onTick: remaining => {
+                countdown.textContent = ui('partyCountdown', { time: formatRemaining(remaining) });
+            },
+            onDue: () => {
+                countdown.classList.add('celebrating');
+                countdown.innerHTML = text(slide, celebration || ui('celebration'));
+            }
+        }));
+    },
+    describe: (slide, viz) => {
+        const { metadata } = viz.data;
+        const party = partyDate(metadata);
+        return {
+            title: [slide.content.title, slide.content.subtitle]
+                .filter(Boolean)
+                .map(value => fillPlaceholders(value, metadata))
+                .join(' '),
+            description: party && party <= Date.now()
+                ? ui('heroConfetti', { emojis: slide.content.emojis || '🎉' })
+                : ui('heroFloaters')
+        };
+    },
+    render: (container, slide, viz) => viz.createHeroViz(container, slide)
+});
+
+registerSlideType('scattered-images', {
+    populate(content, slide) {
+        const { intro, images, checklist } = slide.content;
+        content.innerHTML = `
+            <p class="wishlist-intro">${text(slide, intro)}</p>
+            ${checklist ? `<ul class="wishlist-items">${images.map(img => wishlistItem(slide, img)).join('')}</ul>` : ''}
+        `;
+    },
+    describe: slide => ({
+        title: slide.content.intro,
+        description: ui('wishlist', { items: slide.content.images.map(wishlistLabel).filter(Boolean).join(', ') })
+    }),
+    render: (container, slide, viz) => viz.createScatteredImagesViz(container, slide)
+});
+
+registerSlideType('kpi-cards', {
+    populate(content, slide) {
+        const { intro, highlight } = slide.content;
+        content.innerHTML = `
+            <p>${text(slide, intro)} <em>${text(slide, highlight)}</em></p>
+        `;
+    },
+    describe: (slide, viz) => ({
+        title: [slide.content.intro, slide.content.highlight].filter(Boolean).join(' '),
+        description: slide.content.kpis
+            .map(kpi => `${kpi.label}: ${viz.format.format(kpi.value, kpi)}`)
+            .join('. ')
+    }),
+    render: (container, slide, viz) => viz.createBudgetKPIsViz(container, slide)
+});
+
+registerSlideType('line-chart', {
+    populate(content, slide) {
+        content.innerHTML = `
+            <p>${text(slide, slide.content.intro)}</p>
+        `;
+    },
+    describe: (slide, viz) => {
+        const { chart } = slide.content;
+        const value = point => viz.format.format(point.value, chart);
+        const series = chartSeries(chart)
+            .filter(({ points }) => points.length > 0)
+            .map(({ name, points }) => {
+                const first = points[0];
+                const last = points[points.length - 1];
+                return ui('seriesRange', {
+                    name,
+                    from: first.year,
+                    fromValue: value(first),
+                    to: last.year,
+                    toValue: value(last)
+                });
+            });
+        return {
+            title: chart.title,
+            description: ui('lineChart', { series: series.join('; ') })
+        };
+    },
+    render: (container, slide, viz) => viz.createProjectionChartViz(container, slide)
+});
+
+registerSlideType('image-grid', {
+    populate(content, slide) {
+        content.innerHTML = `
+            <p>${text(slide, slide.content.text)}</p>
+        `;
+    },
+    describe: slide => ({
+        title: slide.content.text,
+        description: ui('images', { alts: altList(slide.content.images) })
+    }),
+    render: (container, slide, viz) => viz.createImageGridViz(container, slide)
+});
+
+registerSlideType('text-with-dots', {
+    populate(content, slide) {
+        content.innerHTML = `
+            <p>${text(slide, slide.content.text)}</p>
+        `;
+        if (slide.content.guess) {
+            renderGuess(content, slide);
+        }
+    },
+    describe: slide => ({
+        title: slide.content.text,
+        description: ui('dots')
+    }),
+    render: (container, slide, viz) => viz.createTextWithDotsViz(container, slide)
+});
+
+registerSlideType('quote-bubbles', {
+    populate(content, slide) {
+        content.innerHTML = `
+            <p style="font-style: italic; margin-bottom: 1.5rem;">${text(slide, slide.content.text)}</p>
+        `;
+    },
+    describe: slide => ({
+        title: slide.content.text,
+        description: slide.content.quotes.map(quote => `${quote.author}: ${quote.text}`).join(' ')
+    }),
+    render: (container, slide, viz) => viz.createQuoteBubblesViz(container, slide)
+});
+
+registerSlideType('image-single', {
+    populate(content, slide) {
+        content.innerHTML = `
+            <p style="font-size: 1.8rem; font-weight: 600;">${text(slide, slide.content.text)}</p>
+        `;
+    },
+    describe: slide => ({
+        title: slide.content.text,
+        description: slide.content.image.alt
+    }),
+    render: (container, slide, viz) => viz.createImageSingleViz(container, slide)
+});
+
+// Sound of their own: the soundtrack is turned down (ducksAudio)
+registerSlideType('video', {
+    populate(content, slide) {
+        content.innerHTML = `
+            <p>${text(slide, slide.content.text)}</p>
+        `;
+    },
+    describe: slide => ({
+        title: slide.content.text,
+        description: ui(slide.content.video.captions ? 'videoCaptioned' : 'video')
+    }),
+    render: (container, slide, viz) => viz.createVideoViz(container, slide),
+    ducksAudio: true
+});
+
+registerSlideType('voice-notes', {
+    populate(content, slide) {
+        content.innerHTML = `
+            <p>${text(slide, slide.content.text)}</p>
+        `;
+    },
+    describe: slide => ({
+        title: slide.content.text,
+        description: ui('voiceNotesFrom', {
+            authors: slide.content.notes.map(note => note.author || ui('unknownAuthor')).join(', ')
+        })
+    }),
+    render: (container, slide, viz) => viz.createVoiceNotesViz(container, slide),
+    ducksAudio: true
+});
+
+registerSlideType('icon-cloud', {
+    populate(content, slide) {
+        content.innerHTML = `
+            <p>${text(slide, slide.content.text)}</p>
+        `;
+    },
+    describe: slide => {
+        const { icons = [], groups = [] } = slide.content;
+        return {
+            title: slide.content.text,
+            description: groups.length > 0
+                ? groups.map(group => `${group.label}: ${group.icons.join(' ')}`).join('. ')
+                : icons.join(' ')
+        };
+    },
+    render: (container, slide, viz) => viz.createIconCloudViz(container, slide)
+});
+
+// Encrypted slide until it unlocks (exported from a slide with unlock)
+registerSlideType('locked', {
+    populate: (content, slide) => renderLock(content, slide),
+    describe: () => ({
+        title: ui('locked'),
+        description: ui('lockedDescription')
+    }),
+    render: (container, slide, viz) => viz.createLockedViz(container, slide)
+});
@@ -0,0 +1,201 @@
+/**
+ * Soundtrack - Background music and per-slide audio cues
+ *
+ *   metadata:
+ *     soundtrack: { src: "assets/audio/theme.mp3", volume: 0.5 }
+ *   slides:
+ *     - audio: { src: "assets/audio/juicy.mp3", start: 12, fade: 1500 }
+ *
+ * On every step change (BirthdayScrollytelling.onStepEnter) the slide's cue
+ * plays from its start (seconds), or the soundtrack on slides without one;
+ * switching tracks crossfades over the incoming cue's fade (ms). The
+ * soundtrack loops and resumes where it left off instead of restarting.
+ *
+ * Browsers only play sound after the reader has interacted with the page,
+ * so the story starts muted and the 🔇 button turns sound on. The choice is
+ * kept for the session; after a reload, sound resumes on the first click or
+ * key press. Slide types registered with ducksAudio (video, voice notes)
+ * lower the music while they are on screen.
+ */
+
+import { ui } from './i18n.js';
+
+const STORAGE_KEY = 'soundtrack-on';
+
+const DEFAULT_VOLUME = 0.8;
+const DEFAULT_FADE = 1000; // ms
+const MUTE_FADE = 300; // ms
+
+// Share of the volume kept while a ducksAudio slide is on screen
+const DUCK_LEVEL = 0.2;
+
+function loadPreference() {
+    try {
+        return sessionStorage.getItem(STORAGE_KEY) === 'true';
+    } catch (error) {
+        return false; // Storage disabled (e.g. private mode)
+    }
+}
+
+function savePreference(enabled) {
+    try {
+        sessionStorage.setItem(STORAGE_KEY, String(enabled));
+    } catch (error) {
+        // Not persisted; muted again after a reload
+    }
+}
+
+export class Soundtrack {
+    constructor(metadata) {
+        this.soundtrack = metadata.soundtrack || null;
+        this.tracks = new Map(); // src -> <audio>, so the soundtrack keeps its position
+        this.playing = null; // { audio, cue } currently audible
+        this.cue = null; // What the current step wants to hear
+        this.ducked = false;
+        this.enabled = loadPreference();
+        this.blocked = false; // Enabled, but waiting for a click/key (autoplay rules)
+    }
+
+    // Only stories with a soundtrack or at least one cue get the button
+    static isNeeded(data) {
+        return Boolean(data.metadata.soundtrack) || data.slides.some(slide => slide.audio);
+    }
+
+    render() {
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'soundtrack-toggle';
+        this.button.addEventListener('click', () => this.toggle());
+        document.body.appendChild(this.button);
+        this.updateButton();
+
+        // No music from a background tab
+        document.addEventListener('visibilitychange', () => {
+            if (!this.playing) return;
+            if (document.hidden) {
+                this.playing.audio.pause();
+            } else if (this.enabled && !this.blocked) {
+                this.start(this.playing);
+            }
+        });
+    }
+
+    updateButton() {
+        const on = this.enabled && !this.blocked;
+        this.button.textContent = on ? '🔊' : '🔇';
+        this.button.setAttribute('aria-pressed', on ? 'true' : 'false');
+        this.button.setAttribute('aria-label', ui(on ? 'soundOff' : 'soundOn'));
+    }
+
+    toggle() {
+        this.enabled = !(this.enabled && !this.blocked);
+        this.blocked = false;
+        savePreference(this.enabled);
+        this.updateButton();
+
+        if (this.enabled) {
+            this.play(this.cue); // Inside the click, so the browser allows it
+        } else {
+            this.stopPlaying(MUTE_FADE);
+        }
+        console.log(this.enabled ? '🔊 Sound on' : '🔇 Sound off');
+    }
+
+    // Called on every step change with the slide and its slide type
+    enter(slide, slideType) {
+        this.ducked = Boolean(slideType && slideType.ducksAudio);
+        this.play(slide.audio || this.soundtrack);
+    }
+
+    volumeFor(cue) {
+        return (cue.volume ?? DEFAULT_VOLUME) * (this.ducked ? DUCK_LEVEL : 1);
+    }
+
+    track(cue) {
+        if (!this.tracks.has(cue.src)) {
+            const audio = new Audio(cue.src);
+            audio.preload = 'auto';
+            audio.addEventListener('error', () => console.warn(`⚠️  Could not load audio "${cue.src}"`));
+            this.tracks.set(cue.src, audio);
+        }
+        return this.tracks.get(cue.src);
+    }
+
+    play(cue) {
+        this.cue = cue;
+        if (!this.enabled || this.blocked) return;
+
+        const fade = cue?.fade ?? DEFAULT_FADE;
+        if (!cue) {
+            this.stopPlaying(fade);
+            return;
+        }
+
+        // Same track (e.g. the soundtrack across slides): just adjust for ducking
+        if (this.playing && this.playing.cue.src === cue.src) {
+            this.playing.cue = cue;
+            this.fadeTo(this.playing.audio, this.volumeFor(cue), fade);
+            return;
+        }
+
+        this.stopPlaying(fade);
+
+        const audio = this.track(cue);
+        audio.loop = cue.loop ?? cue === this.soundtrack;
+        if (cue !== this.soundtrack || audio.currentTime === 0) {
+            audio.currentTime = cue.start || 0;
+        }
+        audio.volume = 0;
+        this.playing = { audio, cue };
+        this.start(this.playing);
+    }
+
+    start({ audio, cue }) {
+        audio.play()
+            .then(() => this.fadeTo(audio, this.volumeFor(cue), cue.fade ?? DEFAULT_FADE))
+            .catch(error => {
+                if (error.name === 'NotAllowedError') {
+                    this.waitForInteraction();
+                } else if (error.name !== 'AbortError') { // AbortError: paused while starting
+                    console.warn(`⚠️  Could not play audio "${cue.src}":`, error);
+                }
+            });
+    }
+
+    // Autoplay was refused (sound was on before a reload): try again on the
+    // reader's first click or key press
+    waitForInteraction() {
+        if (this.blocked) return;
+        this.blocked = true;
+        this.playing = null;
+        this.updateButton();
+
+        const resume = event => {
+            document.removeEventListener('pointerdown', resume, true);
+            document.removeEventListener('keydown', resume, true);
+            if (!this.blocked || event.target === this.button) return; // The button handles itself
+            this.blocked = false;
+            this.updateButton();
+            this.play(this.cue);
+        };
+        document.addEventListener('pointerdown', resume, true);
+        document.addEventListener('keydown', resume, true);
+    }
+
+    stopPlaying(fade) {
+        if (!this.playing) return;
+        const { audio } = this.playing;
+        this.playing = null;
+        this.fadeTo(audio, 0, fade, () => audio.pause());
+    }
+
+    fadeTo(audio, volume, fade, onComplete) {
+        gsap.to(audio, {
+            volume,
+            duration: fade / 1000,
+            ease: 'none',
+            overwrite: true, // A new fade replaces one still running
+            onComplete
+        });
+    }
+}
@@ -0,0 +1,37 @@
+/**
+ * Story Manifest - Lists available stories and resolves which one to load
+ *
+ * data/stories.json is written by scripts/export_from_yaml.py, one entry per
+ * data/raw/*.yaml file. The story is picked with ?story=<id>, falling back
+ * to the manifest's default.
+ */
+
+const MANIFEST_URL = 'data/stories.json';
+
+async function fetchJSON(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${url}: ${response.statusText}`);
+    }
+    return response.json();
+}
+
+export function loadManifest() {
+    return fetchJSON(MANIFEST_URL);
+}
+
+export function storyUrl(storyId) {
+    return `index.html?story=${encodeURIComponent(storyId)}`;
+}
+
+export async function loadStory(search = window.location.search) {
+    const manifest = await loadManifest();
+    const storyId = new URLSearchParams(search).get('story') || manifest.default;
+
+    const story = manifest.stories.find(s => s.id === storyId);
+    if (!story) {
+        throw new Error(`Unknown story "${storyId}" (see stories.html for the list)`);
+    }
+
+    return fetchJSON(story.file);
+}
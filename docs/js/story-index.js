@@ -0,0 +1,44 @@
+/**
+ * Story Index - Lists every story in data/stories.json
+ *
+ * Each card links to index.html?story=<id> and shows the recipient,
+ * age and year from the story's metadata.
+ */
+
+import { loadManifest, storyUrl } from './stories.js';
+import { registerServiceWorker } from './offline.js';
+import { setUiLanguage, ui } from './i18n.js';
+
+function createStoryCard(story) {
+    const item = document.createElement('li');
+    item.className = 'story-card';
+
+    const link = document.createElement('a');
+    link.href = storyUrl(story.id);
+    link.textContent = story.recipient || story.id;
+
+    const details = document.createElement('p');
+    details.className = 'story-card-details';
+    details.textContent = [
+        story.age != null ? ui('storyAge', { age: story.age }) : null,
+        story.year
+    ].filter(Boolean).join(' · ');
+
+    item.append(link, details);
+    return item;
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const list = document.querySelector('.story-list');
+    setUiLanguage(document.documentElement.lang);
+
+    try {
+        const manifest = await loadManifest();
+        manifest.stories.forEach(story => list.appendChild(createStoryCard(story)));
+        console.log(`📚 Listed ${manifest.stories.length} stories`);
+        registerServiceWorker();
+    } catch (error) {
+        console.error('❌ Error loading stories:', error);
+        list.innerHTML = `<li class="loading">❌ ${ui('storiesFailed')}</li>`;
+    }
+});
@@ -0,0 +1,68 @@
+/**
+ * Text Layout - Measured line wrapping for SVG text
+ *
+ * SVG text doesn't wrap, so builders break it into lines here. Widths are
+ * measured with canvas measureText in the font the text is drawn in (story
+ * text is set in a proportional serif, where counting characters is a poor
+ * guess). Explicit "\n" starts a new line, emoji and other grapheme
+ * clusters are never split, and a word wider than the line is broken
+ * between characters.
+ */
+
+import { graphemes } from './text.js';
+
+// --font-serif and --font-mono (css/variables.css)
+export const SERIF_FONT = "'Crimson Text', Georgia, serif";
+export const MONO_FONT = "'IBM Plex Mono', 'Courier New', monospace";
+
+const EMOJI = /\p{Extended_Pictographic}/u;
+
+let context = null; // Shared canvas context, created on first use (false: none)
+
+// Rough width (px) for browsers without canvas text metrics
+function estimateWidth(text, fontSize) {
+    return graphemes(text).reduce((width, char) => width + fontSize * (EMOJI.test(char) ? 1.2 : 0.5), 0);
+}
+
+// Width (px) of text in a CSS font shorthand ("700 17px " + MONO_FONT)
+export function measureText(text, font) {
+    if (context === null) {
+        context = document.createElement('canvas').getContext('2d') || false;
+    }
+    if (!context) {
+        return estimateWidth(text, parseFloat(font.match(/([\d.]+)px/)?.[1]) || 16);
+    }
+    context.font = font;
+    return context.measureText(text).width;
+}
+
+// Lines of at most maxWidth px; empty lines from "\n\n" are kept
+export function wrapLines(text, maxWidth, font) {
+    return String(text ?? '').split(/\r?\n/).flatMap(paragraph => {
+        const lines = [];
+        let line = '';
+
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (measureText(candidate, font) <= maxWidth) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+
+            // Starts the next line; only split if it doesn't fit on its own
+            line = '';
+            graphemes(word).forEach(char => {
+                if (line && measureText(line + char, font) > maxWidth) {
+                    lines.push(line);
+                    line = char;
+                } else {
+                    line += char;
+                }
+            });
+        });
+
+        lines.push(line);
+        return lines;
+    });
+}
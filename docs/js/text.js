@@ -0,0 +1,102 @@
+/**
+ * Safe Text Rendering - Escaping and opt-in inline markdown for story text
+ *
+ * Story text comes from YAML (friends' quotes, pasted text), so it is never
+ * interpolated into innerHTML as-is:
+ * - Plain text (default) is HTML-escaped
+ * - With markdown enabled (slide.markdown: true) a small inline subset is
+ *   rendered: **strong**, *emphasis*, ~~strikethrough~~, [links](https://…)
+ *   and line breaks. The result is passed through an allowlist sanitizer.
+ */
+
+const ALLOWED_TAGS = {
+    strong: [],
+    em: [],
+    del: [],
+    br: [],
+    a: ['href', 'title']
+};
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+const ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+function isSafeUrl(href) {
+    try {
+        return ALLOWED_PROTOCOLS.includes(new URL(href, window.location.href).protocol);
+    } catch (e) {
+        return false;
+    }
+}
+
+function cleanNode(parent) {
+    [...parent.childNodes].forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+
+        const tag = node.nodeType === Node.ELEMENT_NODE ? node.tagName.toLowerCase() : null;
+        const allowedAttrs = ALLOWED_TAGS[tag];
+
+        // Disallowed element: keep its text, drop the markup. Comments etc. go entirely.
+        if (!allowedAttrs) {
+            node.replaceWith(tag ? document.createTextNode(node.textContent) : '');
+            return;
+        }
+
+        [...node.attributes].forEach(attr => {
+            if (!allowedAttrs.includes(attr.name)) {
+                node.removeAttribute(attr.name);
+            }
+        });
+
+        if (tag === 'a') {
+            if (!isSafeUrl(node.getAttribute('href') || '')) {
+                node.replaceWith(document.createTextNode(node.textContent));
+                return;
+            }
+            node.setAttribute('target', '_blank');
+            node.setAttribute('rel', 'noopener noreferrer');
+        }
+
+        cleanNode(node);
+    });
+}
+
+export function sanitizeHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    cleanNode(template.content);
+    return template.innerHTML;
+}
+
+export function renderInlineMarkdown(value) {
+    const html = escapeHtml(value)
+        .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+        .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*([^*\n]+)\*/g, '<em>$1</em>')
+        .replace(/~~([^~\n]+)~~/g, '<del>$1</del>')
+        .replace(/\r?\n/g, '<br>');
+
+    return sanitizeHtml(html);
+}
+
+// HTML for a piece of story text, honoring the slide's markdown opt-in
+export function formatText(value, { markdown = false } = {}) {
+    return markdown ? renderInlineMarkdown(value) : escapeHtml(value);
+}
+
+// User-perceived characters, so "👨‍👩‍👧" or "🇸🇪" stay whole
+export function graphemes(value) {
+    const text = String(value ?? '');
+    if (typeof Intl.Segmenter !== 'function') return Array.from(text);
+    return Array.from(new Intl.Segmenter().segment(text), ({ segment }) => segment);
+}
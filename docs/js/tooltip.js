@@ -0,0 +1,128 @@
+/**
+ * Tooltip - Shared pointer tooltip for the visualizations
+ *
+ * VisualizationManager owns one instance for the whole page; builders call
+ * viz.tooltip.attach(selection, d => content) on the elements that should
+ * respond. Content is { title, rows: [[label, value, color?]], notes: [] }
+ * and is always set as text, never HTML. onHide (optional) runs when the
+ * tooltip goes away, e.g. to remove a crosshair.
+ *
+ * Mouse: follows the pointer while hovering. Touch/pen: a tap shows the
+ * tooltip and a tap anywhere else hides it.
+ */
+
+// Gap between pointer and tooltip (px)
+const OFFSET = 14;
+
+export class Tooltip {
+    constructor(parent = document.body) {
+        this.element = document.createElement('div');
+        this.element.className = 'viz-tooltip';
+        this.element.setAttribute('role', 'tooltip');
+        this.element.hidden = true;
+        parent.appendChild(this.element);
+
+        // Taps outside a tooltip target dismiss it
+        document.addEventListener('pointerdown', event => {
+            if (event.pointerType !== 'mouse' && !this.isTarget(event.target)) {
+                this.hide();
+            }
+        });
+    }
+
+    isTarget(target) {
+        return target instanceof Element && target.closest('.has-tooltip') !== null;
+    }
+
+    // Wire hover (mouse) and tap (touch) on a d3 selection
+    attach(selection, contentFor, { onHide } = {}) {
+        selection
+            .classed('has-tooltip', true)
+            .on('pointerenter.tooltip pointermove.tooltip', (event, d) => {
+                if (event.pointerType === 'mouse') {
+                    this.show(contentFor(d, event), event.clientX, event.clientY, onHide);
+                }
+            })
+            .on('pointerleave.tooltip', event => {
+                if (event.pointerType === 'mouse') {
+                    this.hide();
+                }
+            })
+            .on('click.tooltip', (event, d) => {
+                // Don't let the tap also advance presentation mode
+                event.stopPropagation();
+                this.show(contentFor(d, event), event.clientX, event.clientY, onHide);
+            });
+    }
+
+    show(content, x, y, onHide) {
+        if (!content) {
+            this.hide();
+            return;
+        }
+
+        if (this.onHide && this.onHide !== onHide) {
+            this.onHide();
+        }
+        this.onHide = onHide;
+
+        this.render(content);
+        this.element.hidden = false;
+        this.place(x, y);
+    }
+
+    hide() {
+        this.element.hidden = true;
+
+        if (this.onHide) {
+            this.onHide();
+            this.onHide = null;
+        }
+    }
+
+    render({ title, rows = [], notes = [] }) {
+        this.element.replaceChildren();
+
+        if (title !== undefined) {
+            const heading = document.createElement('strong');
+            heading.className = 'viz-tooltip-title';
+            heading.textContent = title;
+            this.element.appendChild(heading);
+        }
+
+        rows.forEach(([label, value, color]) => {
+            const row = document.createElement('div');
+            row.className = 'viz-tooltip-row';
+
+            const name = document.createElement('span');
+            name.textContent = label;
+            if (color) {
+                name.style.borderLeftColor = color;
+            }
+
+            const amount = document.createElement('span');
+            amount.className = 'mono';
+            amount.textContent = value;
+
+            row.append(name, amount);
+            this.element.appendChild(row);
+        });
+
+        notes.filter(Boolean).forEach(note => {
+            const paragraph = document.createElement('p');
+            paragraph.className = 'viz-tooltip-note';
+            paragraph.textContent = note;
+            this.element.appendChild(paragraph);
+        });
+    }
+
+    // Next to the pointer, flipped to the other side near viewport edges
+    place(x, y) {
+        const { offsetWidth: width, offsetHeight: height } = this.element;
+        const left = x + OFFSET + width > window.innerWidth ? x - OFFSET - width : x + OFFSET;
+        const top = y + OFFSET + height > window.innerHeight ? y - OFFSET - height : y + OFFSET;
+
+        this.element.style.left = `${Math.max(0, left)}px`;
+        this.element.style.top = `${Math.max(0, top)}px`;
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * Unlock - Locked slides (type "locked", from scripts/lock_slides.py)
+ *
+ * A slide with unlock in the YAML is exported encrypted; its narrative box
+ * shows a lock instead, with a countdown to content.after and/or a passcode
+ * field. Once it opens, the decrypted slide is sent in a bubbling
+ * "slide-unlocked" event ({ slide }) and main.js swaps it into the story.
+ *
+ * Content: { iv, data } (AES-256-GCM) plus either { salt, iterations } to
+ * derive the key from a passcode (PBKDF2-SHA256) or { key } for slides that
+ * only wait for a time. With both after and a passcode, the passcode field
+ * only appears once after has passed. Passcodes that worked are kept in
+ * sessionStorage so a reload doesn't lock the slide again.
+ */
+
+import { formatRemaining, startCountdown } from './countdown.js';
+import { ui } from './i18n.js';
+
+const STORAGE_KEY = 'unlock-passcodes';
+
+// Stops the countdown, by slide id; replaced when a box is re-populated
+const countdowns = new Map();
+
+function stopCountdown(slide) {
+    countdowns.get(slide.id)?.();
+    countdowns.delete(slide.id);
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+async function slideKey(content, passcode) {
+    if (content.key) {
+        return crypto.subtle.importKey('raw', fromBase64(content.key), 'AES-GCM', false, ['decrypt']);
+    }
+
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passcode.trim()), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(content.salt), iterations: content.iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['decrypt']);
+}
+
+// The original slide, or a rejected promise for a wrong passcode
+export async function decryptSlide(slide, passcode) {
+    const { content } = slide;
+    const key = await slideKey(content, passcode);
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(content.iv) }, key, fromBase64(content.data));
+
+    // id, step and layout were left outside the encrypted part
+    const { id, step, layout } = slide;
+    return { id, step, ...(layout ? { layout } : {}), ...JSON.parse(new TextDecoder().decode(plain)) };
+}
+
+function savedPasscodes() {
+    try {
+        return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        return {}; // Storage disabled (e.g. private mode)
+    }
+}
+
+function savePasscode(slide, passcode) {
+    try {
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ ...savedPasscodes(), [slide.id]: passcode }));
+    } catch (error) {
+        // Not persisted; asked again after a reload
+    }
+}
+
+// Fill a narrative box with the lock, countdown and passcode prompt
+export function renderLock(content, slide) {
+    const { after, key } = slide.content;
+    const opensAt = after ? new Date(after) : null;
+    const needsPasscode = !key;
+
+    stopCountdown(slide);
+    content.innerHTML = `
+        <p class="lock-title">🔒 ${ui('notYet')}</p>
+        <p class="lock-countdown" hidden></p>
+    `;
+    const countdown = content.querySelector('.lock-countdown');
+    const status = document.createElement('p');
+    status.className = 'lock-status';
+    status.setAttribute('aria-live', 'polite');
+
+    // after gates passcode slides too: not even the right passcode opens
+    // the slide early
+    const open = async passcode => {
+        if (opensAt && Date.now() < opensAt.getTime()) return;
+        try {
+            const unlocked = await decryptSlide(slide, passcode);
+            stopCountdown(slide);
+            if (passcode) savePasscode(slide, passcode);
+            console.log(`🔓 Slide "${slide.id}" unlocked`);
+            content.dispatchEvent(new CustomEvent('slide-unlocked', { bubbles: true, detail: { slide: unlocked } }));
+        } catch (error) {
+            status.textContent = ui(passcode ? 'wrongPasscode' : 'unlockFailed');
+        }
+    };
+
+    let form = null;
+    if (needsPasscode) {
+        form = document.createElement('form');
+        form.className = 'lock-form';
+        form.hidden = Boolean(opensAt) && Date.now() < opensAt.getTime(); // Shown once due
+
+        const label = document.createElement('label');
+        label.className = 'sr-only';
+        label.htmlFor = `passcode-${slide.id}`;
+        label.textContent = ui('passcode');
+
+        const input = document.createElement('input');
+        input.id = label.htmlFor;
+        input.type = 'password';
+        input.autocomplete = 'off';
+
+        const button = document.createElement('button');
+        button.type = 'submit';
+        button.textContent = ui('unlock');
+
+        form.append(label, input, button);
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            if (input.value.trim()) open(input.value);
+        });
+        content.append(form);
+    }
+    content.append(status);
+
+    const saved = savedPasscodes()[slide.id];
+    if (!opensAt || Number.isNaN(opensAt.getTime())) {
+        if (saved) open(saved);
+        return;
+    }
+
+    countdowns.set(slide.id, startCountdown(opensAt, {
+        onTick: remaining => {
+            countdown.textContent = ui('opensIn', { time: formatRemaining(remaining) });
+            countdown.hidden = false;
+        },
+        onDue: () => {
+            countdown.hidden = true;
+            if (form) form.hidden = false;
+            if (needsPasscode && !saved) {
+                status.textContent = ui('unlockDue');
+            } else {
+                open(saved);
+            }
+        }
+    }));
+}
@@ -1,26 +1,147 @@
 /**
- * Visualization Manager - Switch/case for all 11 visualizations
+ * Visualization Manager - Renders the D3.js visualization for each scroll step
  *
- * Manages D3.js visualizations for each scroll step:
- * - Step 0: Hero (emoji floaters)
- * - Step 1: Scattered Images (wishlist)
- * - Step 2: Budget KPIs (counter animation)
- * - Step 3: Line Chart (historical + projection)
- * - Step 4: Image Grid (first hints)
- * - Step 5: Text with Dots (guess)
- * - Step 6: Quote Bubbles (friend quotes)
- * - Step 7: Image Grid (more hints)
- * - Step 8: Image Grid (also)
- * - Step 9: Image Single (morning)
- * - Step 10: Image Single (reveal)
+ * The builder for a step is looked up by slide.type in the slide type
+ * registry (see slide-registry.js / slide-types.js), so slides can be
+ * reordered or inserted in birthday_data.yaml freely. Built-in builders:
+ * - hero: emoji floaters, confetti once the party starts (createHeroViz)
+ * - scattered-images: wishlist (createScatteredImagesViz)
+ * - kpi-cards: counter animation (createBudgetKPIsViz)
+ * - line-chart: N series, linear/log/clamped y-axis (createProjectionChartViz)
+ * - image-grid: hints (createImageGridViz)
+ * - text-with-dots: guess (createTextWithDotsViz)
+ * - quote-bubbles: friend quotes, stacked or as a chat (createQuoteBubblesViz)
+ * - image-single: morning / reveal (createImageSingleViz)
+ * - icon-cloud: force-directed emoji cloud (createIconCloudViz)
+ * - video: video greeting with captions (createVideoViz)
+ * - voice-notes: voice memos with waveforms (createVoiceNotesViz)
+ * - locked: padlock until an encrypted slide opens (createLockedViz)
+ *
+ * A builder may return a handle with:
+ * - stop(): called when the step is left, so simulations and timers don't
+ *   pile up across scrolls
+ * - progress(t): called with the narrative step's scroll progress (0..1) so
+ *   animations follow the reader's scrolling and reverse when scrolling back
+ *
+ * Hover/tap details go through the shared this.tooltip (see tooltip.js),
+ * enlarged images through this.lightbox (see lightbox.js).
  */
 
+import { getSlideType } from './slide-registry.js';
+import { IconCloud } from './icon-cloud.js';
+import { chartSeries, chartScales } from './chart-data.js';
+import { Tooltip } from './tooltip.js';
+import { Formatter } from './format.js';
+import { loadImage, preloadImages, slideImages } from './image-loader.js';
+import { Lightbox } from './lightbox.js';
+import { scatterLayout, seededRandom, cardTransform } from './scatter-layout.js';
+import { ConfettiBurst } from './confetti.js';
+import { partyDate, parseLocalDate } from './birthday.js';
+import { startCountdown } from './countdown.js';
+import { graphemes } from './text.js';
+import { SERIF_FONT, MONO_FONT, measureText, wrapLines } from './text-layout.js';
+import { loadCaptions, cueAt } from './captions.js';
+import { ui } from './i18n.js';
+
+// How many upcoming steps get their images preloaded
+const PRELOAD_STEPS = 2;
+
+// Room below image cards for a caption (up to two lines) and credit
+const CAPTION_HEIGHT = 56;
+
+// Space (px) kept free around the narrative box by scattered layouts
+const NARRATIVE_CLEARANCE = 16;
+
+// Wishlist statuses (besides "wanted") that get an overlay; a secret wish's
+// alt text is replaced by ui('secretWish')
+const WISHLIST_MARKS = ['bought', 'crossed-out', 'secret'];
+
+// Hero emojis when the slide has no (or an empty) emojis string
+const DEFAULT_HERO_EMOJIS = ['🎉', '🎂', '🎁', '✨', '🎈', '🎊', '💝', '🌟'];
+
+// Confetti bursts once the party has started: origin as a share of the
+// screen, delay in ms
+const CONFETTI_BURSTS = [
+    { x: 0.5, y: 0.7, delay: 0 },
+    { x: 0.2, y: 0.8, delay: 500 },
+    { x: 0.8, y: 0.8, delay: 900 }
+];
+
+// The hero slide's emojis string ("🎉🎂🎁✨") as separate emojis
+function heroEmojis(slide) {
+    const emojis = graphemes(slide.content.emojis).filter(emoji => emoji.trim());
+    return emojis.length > 0 ? emojis : DEFAULT_HERO_EMOJIS;
+}
+
+// Waveform for voice notes without peaks (e.g. exported without ffmpeg);
+// as many bars as scripts/audio_peaks.py computes
+const FLAT_PEAKS = Array(64).fill(0.15);
+
+// 42.3 -> "0:42"
+function formatDuration(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+}
+
+// Thread sides: authors take turns left/right in order of first
+// appearance, unless a quote sets its side
+function quoteSides(quotes) {
+    const authors = [...new Set(quotes.map(quote => quote.author))];
+    return quotes.map(quote => quote.side || (authors.indexOf(quote.author) % 2 ? 'right' : 'left'));
+}
+
+// "Mr Gogo" -> "MG"
+function initials(name) {
+    return name.split(/\s+/).filter(Boolean).slice(0, 2)
+        .map(word => graphemes(word)[0].toUpperCase()).join('');
+}
+
+// Rounded rectangle with radius r; the bottom corner on the pointed side
+// ('left'/'right') is nearly square, like a chat bubble's tail
+function bubblePath(x, y, width, height, r, pointed) {
+    const bottomLeft = pointed === 'left' ? 4 : r;
+    const bottomRight = pointed === 'right' ? 4 : r;
+    return `M${x + r},${y} H${x + width - r} Q${x + width},${y} ${x + width},${y + r}`
+        + ` V${y + height - bottomRight} Q${x + width},${y + height} ${x + width - bottomRight},${y + height}`
+        + ` H${x + bottomLeft} Q${x},${y + height} ${x},${y + height - bottomLeft}`
+        + ` V${y + r} Q${x},${y} ${x + r},${y} Z`;
+}
+
+// Map overall step progress t (0..1) onto a sub-range, clamped to 0..1
+function progressSegment(t, start, end) {
+    return Math.max(0, Math.min(1, (t - start) / (end - start)));
+}
+
 export class VisualizationManager {
     constructor(data) {
         this.data = data;
         this.currentStep = -1;
         this.isUpdating = false;
+        this.pendingStep = null; // Step requested while an update was in progress
         this.activeAnimations = []; // Track active timeouts/intervals
+        this.activeViz = null; // Handle returned by the current step's builder
+        this.stepProgress = {}; // Last scroll progress (0..1) per step
+        this.mediaPositions = {}; // Video/voice note position per slide id, kept across re-renders
+        this.instant = false; // True while re-rendering after a resize
+        this.tooltip = new Tooltip(); // Shared by all builders, see tooltip.js
+        this.lightbox = new Lightbox(); // Enlarged image cards, see lightbox.js
+        this.layoutEditor = null; // Set by main.js for ?edit=layout
+        this.format = new Formatter(data.metadata); // Locale/currency from metadata
+
+        // prefers-reduced-motion: skip straight to final states
+        const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.reducedMotion = motionQuery.matches;
+        motionQuery.addEventListener('change', event => {
+            this.reducedMotion = event.matches;
+            this.rerender();
+        });
+
+        // Text is wrapped at measured widths (text-layout.js); measure again
+        // with the web fonts once they have loaded
+        if (document.fonts && document.fonts.status === 'loading') {
+            document.fonts.ready.then(() => this.rerender());
+        }
+
+        this.listenForResize();
     }
 
     isMobile() {
@@ -34,25 +155,66 @@ export class VisualizationManager {
             clearInterval(id);
         });
         this.activeAnimations = [];
+
+        // Let the previous builder tear down simulations, intervals, etc.
+        if (this.activeViz && typeof this.activeViz.stop === 'function') {
+            this.activeViz.stop();
+        }
+        this.activeViz = null;
     }
 
     updateVisualization(step) {
         if (step === this.currentStep) {
+            this.pendingStep = null; // Back on the rendered step, drop stale requests
             return;
         }
 
         if (this.isUpdating) {
+            // Render the latest requested step once the current update settles
+            this.pendingStep = step;
             return;
         }
 
         this.isUpdating = true;
         console.log(`🎨 Rendering step ${step}`);
 
+        this.currentStep = step;
+        this.renderStep(step);
+
+        // Release update lock after rendering completes
+        setTimeout(() => {
+            this.isUpdating = false;
+
+            if (this.pendingStep !== null) {
+                const pending = this.pendingStep;
+                this.pendingStep = null;
+                this.updateVisualization(pending);
+            }
+        }, 500);
+    }
+
+    // New story data (e.g. another language): same steps, new text/format
+    setData(data) {
+        this.data = data;
+        this.format = new Formatter(data.metadata);
+        this.rerender();
+    }
+
+    // Re-render the current step at the new viewport size, jumping straight
+    // to the animation end-state instead of replaying intros
+    rerender() {
+        if (this.currentStep < 0) return;
+
+        console.log(`📐 Re-rendering step ${this.currentStep} at ${window.innerWidth}×${window.innerHeight}`);
+        this.instant = true;
+        this.renderStep(this.currentStep);
+        this.instant = false;
+    }
+
+    renderStep(step) {
         // Cancel any active animations (timeouts, intervals) from previous step
         this.clearActiveAnimations();
 
-        this.currentStep = step;
-
         // Cancel all active D3 transitions globally (safe way)
         d3.selectAll('.viz-step').selectAll('*').each(function() {
             try {
@@ -62,6 +224,11 @@ export class VisualizationManager {
             }
         });
 
+        this.tooltip.hide();
+        if (this.layoutEditor) {
+            this.layoutEditor.hide();
+        }
+
         // Get container for this step
         const container = d3.select(`#viz-step-${step}`);
 
@@ -70,64 +237,329 @@ export class VisualizationManager {
 
         // Get slide data
         const slide = this.data.slides.find(s => s.step === step);
-        if (!slide) {
-            this.isUpdating = false;
-            return;
+        if (!slide) return;
+
+        // Render new viz based on slide type
+        const slideType = getSlideType(slide.type);
+        if (slideType) {
+            this.activeViz = slideType.render(container, slide, this) || null;
+            this.describeViz(container, slide, slideType);
+            this.applyProgress();
+            this.preloadUpcoming(step);
+        } else {
+            console.warn(`⚠️  No renderer registered for "${slide.type}" (step ${step})`);
         }
+    }
+
+    // Accessible name/description for the step's SVG, made from slide data
+    // by the slide type's describe(slide, viz)
+    describeViz(container, slide, slideType) {
+        const svg = container.select('svg');
+        if (svg.empty() || typeof slideType.describe !== 'function') return;
 
-        // Render new viz based on type
-        switch (step) {
-            case 0:
-                this.createHeroViz(container, slide);
-                break;
-            case 1:
-                this.createScatteredImagesViz(container, slide);
-                break;
-            case 2:
-                this.createBudgetKPIsViz(container, slide);
-                break;
-            case 3:
-                this.createProjectionChartViz(container, slide);
-                break;
-            case 4:
-                this.createImageGridViz(container, slide);
-                break;
-            case 5:
-                this.createTextWithDotsViz(container, slide);
-                break;
-            case 6:
-                this.createQuoteBubblesViz(container, slide);
-                break;
-            case 7:
-                this.createImageGridViz(container, slide);
-                break;
-            case 8:
-                this.createImageGridViz(container, slide);
-                break;
-            case 9:
-                this.createImageSingleViz(container, slide);
-                break;
-            case 10:
-                this.createImageSingleViz(container, slide);
-                break;
+        const { title, description } = slideType.describe(slide, this);
+        const id = `viz-${slide.id}`;
+
+        if (description) {
+            svg.insert('desc', ':first-child')
+                .attr('id', `${id}-desc`)
+                .text(description);
         }
+        svg.insert('title', ':first-child')
+            .attr('id', `${id}-title`)
+            .text(title || '');
+
+        // Cards that open the lightbox must stay reachable, so such SVGs are
+        // a labelled group rather than a single image
+        const interactive = !svg.select('[tabindex]').empty();
+        svg.attr('role', interactive ? 'group' : 'img')
+            .attr('aria-labelledby', `${id}-title`)
+            .attr('aria-describedby', description ? `${id}-desc` : null);
+    }
 
-        // Release update lock after rendering completes
-        setTimeout(() => {
-            this.isUpdating = false;
-        }, 500);
+    listenForResize() {
+        let resizeTimeout = null;
+        const onResize = () => {
+            clearTimeout(resizeTimeout);
+            resizeTimeout = setTimeout(() => {
+                // Mobile browsers fire resize for toolbar show/hide too, only
+                // re-render when the viewport actually changed
+                const size = `${window.innerWidth}x${window.innerHeight}`;
+                if (size === this.viewportSize) return;
+                this.viewportSize = size;
+                this.rerender();
+            }, 200);
+        };
+
+        this.viewportSize = `${window.innerWidth}x${window.innerHeight}`;
+        window.addEventListener('resize', onResize);
+        window.addEventListener('orientationchange', onResize);
     }
 
-    createHeroViz(container, slide) {
+    // Animation timing (ms) for delays/durations; 0 while re-rendering or
+    // when the reader prefers reduced motion
+    timing(ms) {
+        return this.instant || this.reducedMotion ? 0 : ms;
+    }
+
+    // SVG sized to the viewport, with a matching viewBox so it scales
+    // instead of clipping until the debounced re-render kicks in
+    appendSvg(container) {
         const width = window.innerWidth;
         const height = window.innerHeight;
 
-        const svg = container.append('svg')
+        return container.append('svg')
+            .attr('width', width)
+            .attr('height', height)
+            .attr('viewBox', `0 0 ${width} ${height}`);
+    }
+
+    setProgress(step, t) {
+        this.stepProgress[step] = t;
+        if (step === this.currentStep) {
+            this.applyProgress();
+        }
+    }
+
+    // Push the current step's last known progress into its builder's hook
+    // (reduced motion: always the final state)
+    applyProgress() {
+        if (this.activeViz && typeof this.activeViz.progress === 'function') {
+            this.activeViz.progress(this.reducedMotion ? 1 : (this.stepProgress[this.currentStep] || 0));
+        }
+    }
+
+    // Visually hidden table with one column per series, one row per year
+    appendDataTable(container, caption, series, formatValue) {
+        const years = [...new Set(series.flatMap(({ points }) => points.map(p => p.year)))]
+            .sort((a, b) => a - b);
+
+        const table = container.append('table').attr('class', 'sr-only');
+        table.append('caption').text(caption || '');
+
+        const headerRow = table.append('thead').append('tr');
+        headerRow.append('th').attr('scope', 'col').text(ui('year'));
+        series.forEach(({ name }) => headerRow.append('th').attr('scope', 'col').text(name));
+
+        const body = table.append('tbody');
+        years.forEach(year => {
+            const row = body.append('tr');
+            row.append('th').attr('scope', 'row').text(year);
+            series.forEach(({ points }) => {
+                const point = points.find(p => p.year === year);
+                row.append('td').text(point ? formatValue(point.value) : '–');
+            });
+        });
+    }
+
+    // White image card at (x, y): a shimmering skeleton until the image has
+    // decoded (see image-loader.js), then the image fades in. Images that
+    // can't be loaded at all show their alt text instead.
+    appendImageCard(parent, img, { x = 0, y = 0, width, height = width, shadow = '0 4px 8px rgba(0,0,0,0.2)' }) {
+        const card = parent.append('g')
+            .attr('class', 'image-card')
+            .attr('transform', `translate(${x}, ${y})`);
+
+        // White background card
+        card.append('rect')
+            .attr('width', width)
+            .attr('height', height)
+            .attr('fill', 'white')
+            .attr('rx', 8)
+            .style('filter', `drop-shadow(${shadow})`);
+
+        const skeleton = card.append('rect')
+            .attr('class', 'image-skeleton')
+            .attr('width', width)
+            .attr('height', height)
+            .attr('rx', 8)
+            .attr('fill', `url(#${this.shimmerGradient(parent)})`);
+
+        const image = card.append('image')
+            .attr('width', width)
+            .attr('height', height)
+            .attr('preserveAspectRatio', 'xMidYMid slice')
+            .attr('clip-path', 'inset(0 round 8px)')
+            .attr('aria-label', img.alt || null)
+            .attr('opacity', 0);
+        image.append('title').text(img.alt || '');
+
+        loadImage(img)
+            .then(url => {
+                if (!image.node().isConnected) return; // Step re-rendered meanwhile
+                image.attr('href', url)
+                    .transition()
+                    .duration(this.timing(400))
+                    .attr('opacity', 1)
+                    .on('end', () => skeleton.remove());
+            })
+            .catch(error => {
+                console.warn(`⚠️  ${error.message}`);
+                skeleton.remove();
+                image.remove();
+                this.appendImagePlaceholder(card, img, width, height);
+            });
+
+        if (img.caption || img.credit) {
+            this.appendImageCaption(card, img, width, height);
+        }
+
+        return card;
+    }
+
+    // Caption and credit centered below a card (fits in CAPTION_HEIGHT)
+    appendImageCaption(card, img, width, height) {
+        const caption = card.append('g')
+            .attr('class', 'image-caption')
+            .attr('text-anchor', 'middle');
+
+        const fontSize = this.isMobile() ? 13 : 15;
+        let y = height + fontSize + 8;
+        if (img.caption) {
+            const lines = this.wrapText(caption, img.caption, width / 2, y, width, fontSize);
+            y += lines * (fontSize + 4);
+        }
+        if (img.credit) {
+            caption.append('text')
+                .attr('class', 'mono')
+                .attr('x', width / 2)
+                .attr('y', y)
+                .attr('font-size', 11)
+                .style('fill', 'var(--color-text-muted)')
+                .text(img.credit);
+        }
+    }
+
+    // Stand-in for an image that failed to load: 🖼️ and its alt text
+    appendImagePlaceholder(card, img, width, height) {
+        const placeholder = card.append('g')
+            .attr('class', 'image-placeholder')
+            .attr('role', 'img')
+            .attr('aria-label', img.alt || ui('imageMissing'))
+            .attr('text-anchor', 'middle');
+
+        placeholder.append('rect')
             .attr('width', width)
-            .attr('height', height);
+            .attr('height', height)
+            .attr('rx', 8)
+            .attr('fill', '#f2f2f2');
+
+        const fontSize = Math.max(12, Math.round(width / 14));
+        placeholder.append('text')
+            .attr('x', width / 2)
+            .attr('y', height / 2 - fontSize)
+            .attr('font-size', fontSize * 2)
+            .text('🖼️');
+
+        if (img.alt) {
+            this.wrapText(placeholder, img.alt, width / 2, height / 2 + fontSize * 1.5, width - 24, fontSize);
+        }
+    }
+
+    // Light sweep used as the skeleton fill; one gradient per step SVG
+    shimmerGradient(parent) {
+        const svg = d3.select(parent.node().ownerSVGElement || parent.node());
+        const id = `image-shimmer-${this.currentStep}`;
+        if (!svg.select(`#${id}`).empty()) return id;
+
+        const gradient = svg.append('defs')
+            .append('linearGradient')
+            .attr('id', id);
+
+        [['0%', '#eeeeee'], ['45%', '#eeeeee'], ['50%', '#fafafa'], ['55%', '#eeeeee'], ['100%', '#eeeeee']]
+            .forEach(([offset, color]) => {
+                gradient.append('stop').attr('offset', offset).attr('stop-color', color);
+            });
+
+        if (!this.reducedMotion) {
+            gradient.append('animateTransform')
+                .attr('attributeName', 'gradientTransform')
+                .attr('type', 'translate')
+                .attr('from', '-1 0')
+                .attr('to', '1 0')
+                .attr('dur', '1.4s')
+                .attr('repeatCount', 'indefinite');
+        }
+        return id;
+    }
+
+    // Warm the image cache for the steps after this one, so scrolling on
+    // doesn't land on empty cards
+    preloadUpcoming(step) {
+        this.data.slides
+            .filter(slide => slide.step > step && slide.step <= step + PRELOAD_STEPS)
+            .forEach(slide => preloadImages(slideImages(slide)));
+    }
+
+    createIconCloudViz(container, slide) {
+        const { icons = [], groups = [], iconCount, iconSize } = slide.content;
+        const isMobile = this.isMobile();
+
+        // Flatten groups into { emoji, group } so icons cluster per category
+        const cloudIcons = groups.length > 0
+            ? groups.flatMap((group, i) => group.icons.map(emoji => ({ emoji, group: i })))
+            : icons;
+
+        const cloud = new IconCloud(container.node(), cloudIcons, {
+            iconCount: iconCount || (isMobile ? 50 : 100),
+            iconSize: iconSize || (isMobile ? 28 : 40),
+            groups: groups.map(group => group.label),
+            fadeDuration: this.timing(800),
+            animate: !this.reducedMotion
+        });
+        cloud.render();
 
-        // Create floating birthday emojis
-        const emojis = ['🎉', '🎂', '🎁', '✨', '🎈', '🎊', '💝', '🌟'];
+        // Returned so updateVisualization can stop() it when the step is left
+        return cloud;
+    }
+
+    // Floating emojis until metadata.party_date, then confetti; switches
+    // over live if the party starts while the hero is on screen
+    createHeroViz(container, slide) {
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+
+        const svg = this.appendSvg(container);
+        const emojis = heroEmojis(slide);
+        const party = partyDate(this.data.metadata);
+
+        let confetti = null;
+        const celebrate = () => {
+            svg.selectAll('.floating-emoji')
+                .transition('emoji-fade')
+                .duration(this.timing(600))
+                .attr('opacity', 0)
+                .remove();
+
+            confetti = new ConfettiBurst(svg, emojis, {
+                width,
+                height,
+                iconSize: this.isMobile() ? 24 : 32,
+                animate: !this.reducedMotion && !this.instant
+            });
+            CONFETTI_BURSTS.forEach(({ x, y, delay }) => {
+                this.activeAnimations.push(setTimeout(
+                    () => confetti.burst({ x: x * width, y: y * height }), this.timing(delay)));
+            });
+        };
+
+        if (!party || party > Date.now()) {
+            this.appendFloatingEmojis(svg, emojis, width, height);
+        }
+        if (!party) return null;
+
+        const stopCountdown = startCountdown(party, { onDue: celebrate });
+
+        // Returned so updateVisualization can stop() it when the step is left
+        return {
+            stop: () => {
+                stopCountdown();
+                if (confetti) confetti.stop();
+            }
+        };
+    }
+
+    appendFloatingEmojis(svg, emojis, width, height) {
         const emojiData = Array(20).fill(null).map((_, i) => ({
             emoji: emojis[i % emojis.length],
             x: Math.random() * width,
@@ -148,11 +580,11 @@ export class VisualizationManager {
             .attr('opacity', 0)
             .text(d => d.emoji)
             .transition('emoji-fade')
-            .delay(d => d.delay)
-            .duration(1000)
+            .delay(d => this.timing(d.delay))
+            .duration(this.timing(1000))
             .attr('opacity', 0.6)
             .transition('emoji-float')
-            .duration(3000)
+            .duration(this.timing(3000))
             .attr('y', d => d.y + (Math.random() - 0.5) * 100)
             .attr('x', d => d.x + (Math.random() - 0.5) * 50);
     }
@@ -160,108 +592,206 @@ export class VisualizationManager {
     createScatteredImagesViz(container, slide) {
         const width = window.innerWidth;
         const height = window.innerHeight;
-        const { images } = slide.content;
+        const { images, seed } = slide.content;
         const isMobile = this.isMobile();
 
         // Responsive sizing
         const imgSize = isMobile ? 120 : 200;
-        const margin = isMobile ? 50 : 150;
+        const hasCaptions = images.some(img => img.caption || img.credit);
+        const cardHeight = imgSize + (hasCaptions ? CAPTION_HEIGHT : 0);
+
+        // Same arrangement on every visit with a seed, a new one without
+        const positions = scatterLayout(images, {
+            width,
+            height,
+            cardWidth: imgSize,
+            cardHeight,
+            margin: isMobile ? 16 : 40,
+            avoid: [this.narrativeArea(slide.step)].filter(Boolean),
+            random: seed !== undefined ? seededRandom(seed) : Math.random,
+            maxRotation: isMobile ? 15 : 25,
+            scaleRange: isMobile ? [1, 1] : [0.8, 1.2]
+        });
 
-        const svg = container.append('svg')
-            .attr('width', width)
-            .attr('height', height);
+        const svg = this.appendSvg(container);
 
-        images.forEach((img, i) => {
-            const maxX = width - imgSize - margin;
-            const maxY = height - imgSize - 100;
-            const x = margin + Math.random() * maxX;
-            const y = 100 + Math.random() * maxY;
-            const rotation = isMobile ? -15 + Math.random() * 30 : -25 + Math.random() * 50;
-            const scale = isMobile ? 1 : 0.8 + Math.random() * 0.4;
+        const cards = svg.selectAll('g.scattered-card')
+            .data(positions)
+            .join('g')
+            .attr('class', 'scattered-card')
+            .attr('transform', cardTransform)
+            .attr('opacity', 0);
 
-            const g = svg.append('g')
-                .attr('transform', `translate(${x}, ${y}) rotate(${rotation}) scale(${scale})`)
-                .attr('opacity', 0);
+        // Secret wishes stay secret: no alt text, caption or lightbox
+        const gallery = images.filter(img => img.status !== 'secret');
 
-            // White background card
-            g.append('rect')
-                .attr('width', imgSize)
-                .attr('height', imgSize)
-                .attr('fill', 'white')
-                .attr('rx', 8)
-                .style('filter', 'drop-shadow(0 4px 8px rgba(0,0,0,0.2))');
+        cards.each((position, i, nodes) => {
+            const img = images[i];
+            const secret = img.status === 'secret';
+            const card = this.appendImageCard(d3.select(nodes[i]),
+                secret ? { url: img.url, fallback_url: img.fallback_url, alt: ui('secretWish') } : img,
+                { x: -imgSize / 2, y: -cardHeight / 2, width: imgSize });
 
-            // Image
-            g.append('image')
-                .attr('href', img.url)
-                .attr('width', imgSize)
-                .attr('height', imgSize)
-                .attr('preserveAspectRatio', 'xMidYMid slice')
-                .attr('clip-path', 'inset(0 round 8px)');
+            if (secret) {
+                card.select('image').attr('filter', `url(#${this.secretBlurFilter(svg)})`);
+            } else {
+                this.lightbox.attach(card, gallery, gallery.indexOf(img));
+            }
+        });
 
-            // Animate in
-            g.transition()
-                .delay(i * 200)
-                .duration(800)
+        if (this.layoutEditor) {
+            this.layoutEditor.attach(slide, cards, images, width, height);
+        }
+
+        // Animate in
+        cards.transition()
+            .delay((d, i) => this.timing(i * 200))
+            .duration(this.timing(800))
+            .attr('opacity', 1);
+
+        // Then check marks, strikes and secrets, one after another
+        const marksStart = images.length * 200 + 800;
+        cards.filter((d, i) => WISHLIST_MARKS.includes(images[i].status))
+            .each((position, i, nodes) => {
+                const img = images[cards.nodes().indexOf(nodes[i])];
+                this.appendWishlistMark(d3.select(nodes[i]), img.status, {
+                    width: imgSize,
+                    top: -cardHeight / 2,
+                    delay: this.timing(marksStart + i * 500)
+                });
+            });
+    }
+
+    // Status overlay on a wishlist card (centered at 0,0 horizontally, image
+    // starting at top): ✓ badge, red strike or 🤫
+    appendWishlistMark(card, status, { width, top, delay }) {
+        const mark = card.append('g')
+            .attr('class', `wishlist-mark ${status}`)
+            .style('pointer-events', 'none');
+        const centerY = top + width / 2;
+        const duration = this.timing(500);
+
+        // Strokes are drawn on by animating the dash offset (pathLength 1)
+        const drawOn = path => path
+            .attr('pathLength', 1)
+            .attr('stroke-dasharray', 1)
+            .attr('stroke-dashoffset', 1)
+            .transition()
+            .delay(delay)
+            .duration(duration)
+            .attr('stroke-dashoffset', 0);
+
+        if (status === 'bought') {
+            const badge = mark.append('g')
+                .attr('transform', `translate(${width / 2 - 12}, ${top + 12})`);
+            badge.append('circle')
+                .attr('r', 22)
+                .attr('fill', '#5B8C85')
+                .attr('stroke', 'white')
+                .attr('stroke-width', 3)
+                .attr('opacity', 0)
+                .transition()
+                .delay(delay)
+                .duration(this.timing(200))
                 .attr('opacity', 1);
-        });
+            drawOn(badge.append('path')
+                .attr('d', 'M -10 0 L -3 8 L 11 -8')
+                .attr('fill', 'none')
+                .attr('stroke', 'white')
+                .attr('stroke-width', 4)
+                .attr('stroke-linecap', 'round')
+                .attr('stroke-linejoin', 'round'));
+        } else if (status === 'crossed-out') {
+            card.select('image')
+                .transition()
+                .delay(delay)
+                .duration(duration)
+                .style('opacity', 0.45);
+            drawOn(mark.append('path')
+                .attr('d', `M ${-width / 2 - 8} ${centerY + 10} L ${width / 2 + 8} ${centerY - 10}`)
+                .attr('fill', 'none')
+                .attr('stroke', '#C84B4B')
+                .attr('stroke-width', 7)
+                .attr('stroke-linecap', 'round'));
+        } else if (status === 'secret') {
+            mark.append('text')
+                .attr('y', centerY)
+                .attr('text-anchor', 'middle')
+                .attr('dominant-baseline', 'central')
+                .attr('font-size', width / 4)
+                .attr('opacity', 0)
+                .text('🤫')
+                .transition()
+                .delay(delay)
+                .duration(duration)
+                .attr('opacity', 1);
+        }
+    }
+
+    // Blur for secret wishlist images; one filter per step SVG
+    secretBlurFilter(svg) {
+        const id = `secret-blur-${this.currentStep}`;
+        if (svg.select(`#${id}`).empty()) {
+            svg.append('defs')
+                .append('filter')
+                .attr('id', id)
+                .append('feGaussianBlur')
+                .attr('stdDeviation', 14);
+        }
+        return id;
+    }
+
+    // Where the step's narrative box is while the step is active (centered
+    // vertically in its section), plus some room, for layouts to keep clear
+    narrativeArea(step) {
+        const content = document.querySelector(`.narrative-step[data-step="${step}"] .narrative-content`);
+        if (!content) return null;
+
+        const { left, width, height } = content.getBoundingClientRect();
+        if (width === 0) return null; // Not laid out (e.g. hidden)
+
+        return {
+            x: left - NARRATIVE_CLEARANCE,
+            y: (window.innerHeight - height) / 2 - NARRATIVE_CLEARANCE,
+            width: width + 2 * NARRATIVE_CLEARANCE,
+            height: height + 2 * NARRATIVE_CLEARANCE
+        };
     }
 
     createImageGridViz(container, slide) {
         const width = window.innerWidth;
-        const height = window.innerHeight;
         const { images, layout } = slide.content;
         const isMobile = this.isMobile();
 
         // Responsive columns: Mobile = 1 column, Desktop = 2 or 3
         const cols = isMobile ? 1 : (layout === 'grid-3' ? 3 : 2);
 
-        // Extended height on mobile for scrolling
-        const svgHeight = isMobile ? height * 1.8 : height;
-
-        const svg = container.append('svg')
-            .attr('width', width)
-            .attr('height', svgHeight);
+        const svg = this.appendSvg(container);
 
         // Responsive sizing - much smaller on mobile with more space
         const imgWidth = isMobile ? Math.min(200, width - 80) : 300;
         const spacing = isMobile ? 25 : 50;
         const totalWidth = cols * imgWidth + (cols - 1) * spacing;
         const startX = (width - totalWidth) / 2;
+        const hasCaptions = images.some(img => img.caption || img.credit);
+        const rowHeight = imgWidth + spacing + (hasCaptions ? CAPTION_HEIGHT : 0);
 
         images.forEach((img, i) => {
             const col = i % cols;
             const row = Math.floor(i / cols);
             const x = startX + col * (imgWidth + spacing);
-            const y = isMobile ? 80 + row * (imgWidth + spacing) : 150 + row * (imgWidth + spacing);
+            const y = (isMobile ? 80 : 150) + row * rowHeight;
 
             const g = svg.append('g')
                 .attr('opacity', 0);
 
-            // White background card
-            g.append('rect')
-                .attr('x', x)
-                .attr('y', y)
-                .attr('width', imgWidth)
-                .attr('height', imgWidth)
-                .attr('fill', 'white')
-                .attr('rx', 8)
-                .style('filter', 'drop-shadow(0 4px 8px rgba(0,0,0,0.2))');
-
-            // Image
-            g.append('image')
-                .attr('href', img.url)
-                .attr('x', x)
-                .attr('y', y)
-                .attr('width', imgWidth)
-                .attr('height', imgWidth)
-                .attr('preserveAspectRatio', 'xMidYMid slice')
-                .attr('clip-path', `inset(0 round 8px)`);
+            const card = this.appendImageCard(g, img, { x, y, width: imgWidth });
+            this.lightbox.attach(card, images, i);
 
             // Animate in
             g.transition()
-                .delay(i * 300)
-                .duration(600)
+                .delay(this.timing(i * 300))
+                .duration(this.timing(600))
                 .attr('opacity', 1);
         });
     }
@@ -272,9 +802,7 @@ export class VisualizationManager {
         const { image } = slide.content;
         const isMobile = this.isMobile();
 
-        const svg = container.append('svg')
-            .attr('width', width)
-            .attr('height', height);
+        const svg = this.appendSvg(container);
 
         // Responsive sizing
         const imgSize = isMobile ? Math.min(280, width - 40) : 400;
@@ -284,39 +812,295 @@ export class VisualizationManager {
         const g = svg.append('g')
             .attr('opacity', 0);
 
-        // White background card
-        g.append('rect')
-            .attr('x', x)
-            .attr('y', y)
-            .attr('width', imgSize)
-            .attr('height', imgSize)
-            .attr('fill', 'white')
-            .attr('rx', 8)
-            .style('filter', 'drop-shadow(0 4px 12px rgba(0,0,0,0.3))');
-
-        // Image
-        g.append('image')
-            .attr('href', image.url)
-            .attr('x', x)
-            .attr('y', y)
-            .attr('width', imgSize)
-            .attr('height', imgSize)
-            .attr('preserveAspectRatio', 'xMidYMid slice')
-            .attr('clip-path', `inset(0 round 8px)`);
+        this.appendImageCard(g, image, { x, y, width: imgSize, shadow: '0 4px 12px rgba(0,0,0,0.3)' });
 
         // Animate in
         g.transition()
-            .duration(800)
+            .duration(this.timing(800))
+            .attr('opacity', 1);
+    }
+
+    // Video greeting with native controls and WebVTT captions (<track>).
+    // Plays while the step is on screen, muted if the browser refuses sound
+    // before the reader has interacted with the page; the controls unmute.
+    // Not started automatically for readers who prefer reduced motion.
+    createVideoViz(container, slide) {
+        const { video: media, text } = slide.content;
+        const resumeAt = this.instant ? this.mediaPositions[slide.id] : undefined;
+
+        const video = container.append('video')
+            .attr('class', 'viz-video')
+            .attr('src', media.start ? `${media.src}#t=${media.start}` : media.src)
+            .attr('poster', media.poster || null)
+            .attr('aria-label', text || ui('video'))
+            .attr('preload', 'auto')
+            .attr('playsinline', '')
+            .attr('controls', '')
+            .property('loop', media.loop === true);
+
+        if (media.captions) {
+            video.append('track')
+                .attr('kind', 'captions')
+                .attr('src', media.captions)
+                .attr('srclang', this.data.metadata.language)
+                .attr('default', '');
+        }
+
+        const element = video.node();
+        // Presentation mode: using the controls shouldn't change slides
+        element.addEventListener('click', event => event.stopPropagation());
+
+        if (resumeAt !== undefined) {
+            element.addEventListener('loadedmetadata', () => { element.currentTime = resumeAt.time; }, { once: true });
+        }
+
+        if (!this.reducedMotion && (resumeAt === undefined || resumeAt.playing)) {
+            element.play().catch(error => {
+                if (error.name !== 'NotAllowedError') return; // e.g. AbortError: left while starting
+                element.muted = true;
+                element.play().catch(() => {});
+            });
+        }
+
+        // Returned so updateVisualization can stop() it when the step is left
+        return {
+            stop: () => {
+                this.mediaPositions[slide.id] = { time: element.currentTime, playing: !element.paused };
+                element.pause();
+            }
+        };
+    }
+
+    // Voice memos as rows with a play button and a D3 waveform of the peaks
+    // the export computed (scripts/audio_peaks.py). They play one after
+    // another from the first while the step is on screen; clicking a row (or
+    // Enter/Space on it) plays or pauses that note. The cue of the note's
+    // WebVTT captions is shown below the rows (see captions.js).
+    createVoiceNotesViz(container, slide) {
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        const { notes } = slide.content;
+        const isMobile = this.isMobile();
+        const resumeAt = this.instant ? this.mediaPositions[slide.id] : undefined;
+
+        const svg = this.appendSvg(container);
+        const caption = container.append('p').attr('class', 'voice-caption');
+
+        // Responsive sizing
+        const rowWidth = isMobile ? width - 32 : Math.min(560, width * 0.5);
+        const rowHeight = isMobile ? 64 : 76;
+        const gap = isMobile ? 12 : 16;
+        const x = (width - rowWidth) / 2;
+        const top = Math.max(24, (height - notes.length * (rowHeight + gap)) / 2);
+        const waveX = rowHeight; // Right of the play button
+        const waveWidth = rowWidth - waveX - 64; // Room for the duration
+
+        const audios = notes.map(note => {
+            const audio = new Audio(note.src);
+            audio.preload = 'metadata';
+            return audio;
+        });
+        const cues = notes.map(note => (note.captions ? loadCaptions(note.captions) : Promise.resolve([])));
+        let current = -1;
+
+        const rows = svg.selectAll('g.voice-note')
+            .data(notes)
+            .join('g')
+            .attr('class', 'voice-note')
+            .attr('transform', (d, i) => `translate(${x}, ${top + i * (rowHeight + gap)})`)
+            .attr('tabindex', 0)
+            .attr('role', 'button')
+            .attr('aria-label', d => (d.author ? ui('voiceNoteFrom', { author: d.author }) : ui('voiceNote')))
+            .attr('aria-pressed', 'false')
+            .attr('opacity', 0);
+
+        rows.append('rect')
+            .attr('width', rowWidth)
+            .attr('height', rowHeight)
+            .attr('rx', rowHeight / 2)
+            .attr('fill', '#ffffff')
+            .attr('stroke', '#e0e0e0')
+            .style('filter', 'drop-shadow(0 4px 12px rgba(0,0,0,0.08))');
+
+        rows.append('circle')
+            .attr('cx', rowHeight / 2)
+            .attr('cy', rowHeight / 2)
+            .attr('r', rowHeight * 0.3)
+            .attr('fill', '#D4A574');
+
+        rows.append('text')
+            .attr('class', 'voice-note-icon')
+            .attr('x', rowHeight / 2)
+            .attr('y', rowHeight / 2)
+            .attr('text-anchor', 'middle')
+            .attr('dominant-baseline', 'central')
+            .attr('font-size', rowHeight * 0.25)
+            .attr('fill', '#ffffff')
+            .attr('aria-hidden', 'true')
+            .text('▶');
+
+        rows.append('text')
+            .attr('class', 'mono')
+            .attr('x', waveX)
+            .attr('y', rowHeight * 0.3)
+            .attr('font-size', isMobile ? 13 : 15)
+            .attr('font-weight', '700')
+            .attr('fill', '#D4A574')
+            .text(d => d.author || '');
+
+        const durationLabels = rows.append('text')
+            .attr('class', 'mono')
+            .attr('x', rowWidth - 20)
+            .attr('y', rowHeight * 0.65)
+            .attr('text-anchor', 'end')
+            .attr('dominant-baseline', 'central')
+            .attr('font-size', 13)
+            .attr('fill', '#6B7280')
+            .text(d => (d.duration ? formatDuration(d.duration) : ''));
+
+        // Waveform: one bar per peak, centered on the row's lower half
+        const barMax = rowHeight * 0.4;
+        rows.append('g')
+            .attr('transform', `translate(${waveX}, ${rowHeight * 0.65})`)
+            .attr('aria-hidden', 'true')
+            .each((note, i, nodes) => {
+                const peaks = note.peaks && note.peaks.length > 0 ? note.peaks : FLAT_PEAKS;
+                const xScale = d3.scaleBand()
+                    .domain(d3.range(peaks.length))
+                    .range([0, waveWidth])
+                    .padding(0.3);
+
+                d3.select(nodes[i]).selectAll('rect')
+                    .data(peaks)
+                    .join('rect')
+                    .attr('class', 'voice-bar')
+                    .attr('x', (p, k) => xScale(k))
+                    .attr('width', xScale.bandwidth())
+                    .attr('y', p => -Math.max(2, p * barMax) / 2)
+                    .attr('height', p => Math.max(2, p * barMax))
+                    .attr('rx', xScale.bandwidth() / 2)
+                    .attr('fill', '#dddddd');
+            });
+
+        // Played part of the waveform, play/pause icon and caption
+        const paint = i => {
+            const audio = audios[i];
+            const duration = audio.duration || notes[i].duration;
+            const played = duration ? audio.currentTime / duration : 0;
+            const row = rows.filter((d, j) => j === i);
+            const bars = row.selectAll('.voice-bar');
+            const count = bars.size();
+
+            bars.attr('fill', (p, k) => ((k + 0.5) / count <= played ? '#8B4513' : '#dddddd'));
+            row.select('.voice-note-icon').text(audio.paused ? '▶' : '❚❚');
+            row.attr('aria-pressed', audio.paused ? 'false' : 'true');
+            cues[i].then(list => {
+                if (i === current) caption.text(cueAt(list, audio.currentTime));
+            });
+        };
+
+        const play = i => {
+            if (current !== -1 && current !== i) {
+                audios[current].pause();
+            }
+            current = i;
+            audios[i].play().catch(error => {
+                // No sound before the reader has interacted with the page
+                if (error.name === 'NotAllowedError') caption.text(ui('playHint'));
+            });
+        };
+
+        audios.forEach((audio, i) => {
+            ['play', 'pause', 'timeupdate'].forEach(type => audio.addEventListener(type, () => paint(i)));
+            audio.addEventListener('loadedmetadata', () => {
+                if (!notes[i].duration) durationLabels.filter((d, j) => j === i).text(formatDuration(audio.duration));
+            });
+            audio.addEventListener('ended', () => {
+                if (i + 1 < notes.length) {
+                    play(i + 1);
+                } else {
+                    current = -1;
+                    caption.text('');
+                }
+            });
+        });
+
+        const toggle = i => {
+            if (i === current && !audios[i].paused) {
+                audios[i].pause();
+            } else {
+                play(i);
+            }
+        };
+        rows.on('click', (event, d) => {
+            event.stopPropagation(); // Presentation mode: don't change slides
+            toggle(notes.indexOf(d));
+        });
+        rows.on('keydown', (event, d) => {
+            if (event.key !== 'Enter' && event.key !== ' ') return;
+            event.preventDefault();
+            event.stopPropagation();
+            toggle(notes.indexOf(d));
+        });
+
+        // Animate in
+        rows.transition()
+            .delay((d, i) => this.timing(i * 150))
+            .duration(this.timing(500))
             .attr('opacity', 1);
+
+        if (resumeAt !== undefined) {
+            current = resumeAt.index;
+            audios[current].currentTime = resumeAt.time;
+        }
+
+        // Like videos, nothing starts by itself with reduced motion; ▶ plays
+        if (this.reducedMotion) {
+            caption.text(ui('playHint'));
+        } else if (resumeAt === undefined) {
+            play(0);
+        } else if (resumeAt.playing) {
+            play(resumeAt.index);
+        }
+
+        // Returned so updateVisualization can stop() it when the step is left
+        return {
+            stop: () => {
+                if (current !== -1) {
+                    const audio = audios[current];
+                    this.mediaPositions[slide.id] = { index: current, time: audio.currentTime, playing: !audio.paused };
+                }
+                audios.forEach(audio => audio.pause());
+            }
+        };
+    }
+
+    // Encrypted slide (see unlock.js): just a padlock until it opens
+    createLockedViz(container, slide) {
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+
+        const svg = this.appendSvg(container);
+
+        svg.append('text')
+            .attr('class', 'lock-icon')
+            .attr('x', width / 2)
+            .attr('y', height / 2)
+            .attr('text-anchor', 'middle')
+            .attr('dominant-baseline', 'central')
+            .attr('font-size', this.isMobile() ? 96 : 160)
+            .attr('opacity', 0)
+            .text('🔒')
+            .transition()
+            .duration(this.timing(800))
+            .attr('opacity', 0.8);
     }
 
     createTextWithDotsViz(container, slide) {
         const width = window.innerWidth;
         const height = window.innerHeight;
 
-        const svg = container.append('svg')
-            .attr('width', width)
-            .attr('height', height);
+        const svg = this.appendSvg(container);
 
         // Simple animated dots
         const dots = [0, 1, 2].map(i => ({
@@ -336,118 +1120,231 @@ export class VisualizationManager {
             .attr('fill', '#D4A574')
             .attr('opacity', 0.3)
             .transition('dot-pulse-1')
-            .duration(600)
-            .delay((d, i) => i * 200)
+            .duration(this.timing(600))
+            .delay((d, i) => this.timing(i * 200))
             .attr('opacity', 1)
             .transition('dot-pulse-2')
-            .duration(600)
+            .duration(this.timing(600))
             .attr('opacity', 0.3)
             .transition('dot-pulse-3')
-            .duration(600)
-            .delay((d, i) => i * 200)
+            .duration(this.timing(600))
+            .delay((d, i) => this.timing(i * 200))
             .attr('opacity', 1)
             .transition('dot-pulse-4')
-            .duration(600)
+            .duration(this.timing(600))
             .attr('opacity', 0.3);
     }
 
     createQuoteBubblesViz(container, slide) {
         const width = window.innerWidth;
         const height = window.innerHeight;
-        const { quotes } = slide.content;
+        const { quotes, layout } = slide.content;
         const isMobile = this.isMobile();
+        const thread = layout === 'thread';
 
-        const svg = container.append('svg')
-            .attr('width', width)
-            .attr('height', height * 2); // Extended height for scrolling
+        const svg = this.appendSvg(container);
+        const list = svg.append('g').attr('class', 'quote-list');
 
         // Responsive sizing - tighter on mobile
-        const bubbleWidth = isMobile ? Math.min(300, width - 60) : 450;
-        const spacing = isMobile ? 40 : 60;
-        const startY = isMobile ? 60 : 150;
-
-        quotes.forEach((quote, i) => {
-            const x = (width - bubbleWidth) / 2;
-            const y = startY + i * (isMobile ? 105 : 160); // Much tighter spacing on mobile
+        const padding = isMobile ? 14 : 20;
+        const fontSize = isMobile ? 14 : 15;
+        const lineHeight = fontSize + 4; // As drawn by appendLines
+        const authorSize = isMobile ? 15 : 17;
+        const timeSize = isMobile ? 11 : 12;
+        const spacing = isMobile ? 16 : 24;
+        const bottomMargin = isMobile ? 40 : 60;
+        const fonts = {
+            text: `${fontSize}px ${SERIF_FONT}`,
+            author: `700 ${authorSize}px ${MONO_FONT}`,
+            time: `${timeSize}px ${MONO_FONT}`
+        };
+
+        // Avatars only if some quote has one; the others get initials
+        const avatarSize = quotes.some(quote => quote.avatar) ? (isMobile ? 32 : 40) : 0;
+        const avatarSpace = avatarSize ? avatarSize + 10 : 0;
+
+        // Stacked bubbles are centered and share a width; thread bubbles
+        // shrink to their text and keep to their side of a column
+        const columnWidth = isMobile ? Math.min(340, width - 32) : Math.min(600, width - 80);
+        const stackWidth = Math.min(isMobile ? 300 : 450, columnWidth - avatarSpace);
+        const left = thread ? (width - columnWidth) / 2 : (width - avatarSpace - stackWidth) / 2;
+        const maxWidth = thread ? Math.round((columnWidth - avatarSpace) * 0.8) : stackWidth;
+        const sides = quoteSides(quotes);
+
+        let y = isMobile ? 60 : 150;
+        const bubbles = quotes.map((quote, i) => {
+            const side = thread ? sides[i] : 'left';
+            const author = `${quote.author}:`;
+            const time = this.quoteTime(quote.time);
+            const lines = wrapLines(quote.text, maxWidth - padding * 2, fonts.text);
+
+            const contentWidth = Math.max(
+                measureText(author, fonts.author),
+                time ? measureText(time, fonts.time) : 0,
+                ...lines.map(line => measureText(line, fonts.text))
+            );
+            const bubbleWidth = thread ? Math.min(maxWidth, Math.ceil(contentWidth) + padding * 2) : stackWidth;
+            const textTop = y + padding + authorSize + 8;
+            const bubbleHeight = textTop - y + lines.length * lineHeight + (time ? timeSize + 6 : 0) + padding;
+
+            const avatarX = side === 'right' ? left + columnWidth - avatarSize : left;
+            const x = side === 'right' ? left + columnWidth - avatarSpace - bubbleWidth : left + avatarSpace;
 
             // Bubble group
-            const g = svg.append('g')
-                .attr('class', `quote-bubble-${i}`)
+            const g = list.append('g')
+                .attr('class', `quote-bubble quote-bubble-${i} quote-${side}`)
                 .attr('opacity', 0)
                 .attr('transform', `translate(0, 20)`); // Start slightly lower
 
-            // Bubble background (chat bubble style with better shadow)
-            const bubbleHeight = isMobile ? 85 : 110;
-            g.append('rect')
-                .attr('x', x)
-                .attr('y', y)
-                .attr('width', bubbleWidth)
-                .attr('height', bubbleHeight)
-                .attr('rx', 16)
-                .attr('fill', '#ffffff')
-                .attr('stroke', '#e0e0e0')
+            // Bubble background (chat bubble style with better shadow); in a
+            // thread the corner next to the avatar is pointed
+            g.append('path')
+                .attr('d', bubblePath(x, y, bubbleWidth, bubbleHeight, 16, thread ? side : null))
+                .attr('fill', side === 'right' ? '#FBF1E6' : '#ffffff')
+                .attr('stroke', side === 'right' ? '#EBD5BA' : '#e0e0e0')
                 .attr('stroke-width', 1)
                 .style('filter', 'drop-shadow(0 4px 12px rgba(0,0,0,0.08))');
 
+            if (avatarSize) {
+                this.appendAvatar(g, quote, avatarX, y + bubbleHeight - avatarSize, avatarSize, `quote-avatar-${slide.id}-${i}`);
+            }
+
             // Author name (bold)
             g.append('text')
-                .attr('x', x + 20)
-                .attr('y', y + 30)
-                .attr('font-size', isMobile ? 15 : 17)
-                .attr('font-family', 'IBM Plex Mono, monospace')
+                .attr('x', x + padding)
+                .attr('y', y + padding + authorSize * 0.75)
+                .attr('font-size', authorSize)
+                .attr('font-family', MONO_FONT)
                 .attr('font-weight', '700')
                 .attr('fill', '#D4A574')
-                .text(quote.author + ':');
+                .text(author);
+
+            // Quote text, wrapped at measured widths
+            this.appendLines(g, lines, x + padding, textTop + fontSize * 0.75, fontSize);
+
+            if (time) {
+                g.append('text')
+                    .attr('x', x + bubbleWidth - padding)
+                    .attr('y', y + bubbleHeight - padding)
+                    .attr('text-anchor', 'end')
+                    .attr('font-size', timeSize)
+                    .attr('font-family', MONO_FONT)
+                    .attr('fill', '#6B7280')
+                    .text(time);
+            }
 
-            // Quote text (wrapped, better styling)
-            const maxWidth = bubbleWidth - 40;
-            const fontSize = isMobile ? 14 : 15;
-            this.wrapText(g, quote.text, x + 20, y + 55, maxWidth, fontSize);
+            const bottom = y + bubbleHeight;
+            y = bottom + spacing;
+            return { g, bottom };
+        });
+
+        // Scroll-driven reveal: one more bubble per scroll increment,
+        // hidden again when scrolling back. Quotes that don't fit the screen
+        // push the earlier ones up, like a chat.
+        const shown = quotes.map(() => false);
+        let offset = 0;
+        return {
+            progress: t => {
+                bubbles.forEach(({ g }, i) => {
+                    const visible = t >= (i / quotes.length) * 0.85;
+                    if (visible === shown[i]) return;
+                    shown[i] = visible;
+
+                    g.transition('quote-reveal')
+                        .duration(this.timing(400))
+                        .ease(d3.easeCubicOut)
+                        .attr('opacity', visible ? 1 : 0)
+                        .attr('transform', `translate(0, ${visible ? 0 : 20})`);
+                });
 
-            // Scroll-based reveal with stagger
-            setTimeout(() => {
-                g.transition()
-                    .duration(800)
+                const last = bubbles[shown.lastIndexOf(true)];
+                const scroll = last ? Math.min(0, height - bottomMargin - last.bottom) : 0;
+                if (scroll === offset) return;
+                offset = scroll;
+                list.transition('quote-scroll')
+                    .duration(this.timing(400))
                     .ease(d3.easeCubicOut)
-                    .attr('opacity', 1)
-                    .attr('transform', `translate(0, 0)`);
-            }, i * 600);
-        });
+                    .attr('transform', `translate(0, ${offset})`);
+            }
+        };
     }
 
-    // Helper to wrap text
-    wrapText(group, text, x, y, maxWidth, fontSize) {
-        const words = text.split(' ');
-        let line = '';
-        let lineNumber = 0;
-        const lineHeight = fontSize + 4;
+    // Timestamp of a quote: ISO dates/times in the story's locale, anything
+    // else ("igår") as written
+    quoteTime(value) {
+        const date = /^\d{4}-\d{2}-\d{2}/.test(value || '') ? parseLocalDate(value) : null;
+        if (!date) return value || '';
+        return this.format.date(date, value.includes('T')
+            ? { dateStyle: 'short', timeStyle: 'short' }
+            : { dateStyle: 'medium' });
+    }
 
-        words.forEach((word) => {
-            const testLine = line + word + ' ';
-            // Approximate width (not perfect but works for monospace)
-            if (testLine.length * (fontSize * 0.6) > maxWidth && line !== '') {
-                group.append('text')
-                    .attr('x', x)
-                    .attr('y', y + lineNumber * lineHeight)
-                    .attr('font-size', fontSize)
-                    .attr('font-family', 'Crimson Text, serif')
-                    .attr('fill', '#333')
-                    .text(line.trim());
-                line = word + ' ';
-                lineNumber++;
-            } else {
-                line = testLine;
-            }
-        });
+    // Round avatar at (x, y): an image, an emoji, or the author's initials
+    appendAvatar(group, quote, x, y, size, clipId) {
+        const r = size / 2;
+        const avatar = quote.avatar || '';
+        const emoji = graphemes(avatar).length === 1;
+
+        group.append('circle')
+            .attr('cx', x + r)
+            .attr('cy', y + r)
+            .attr('r', r)
+            .attr('fill', '#F3E6D6');
 
-        // Last line
         group.append('text')
+            .attr('x', x + r)
+            .attr('y', y + r)
+            .attr('text-anchor', 'middle')
+            .attr('dominant-baseline', 'central')
+            .attr('font-size', emoji ? size * 0.55 : size * 0.38)
+            .attr('font-family', MONO_FONT)
+            .attr('font-weight', '700')
+            .attr('fill', '#8B4513')
+            .text(emoji ? avatar : initials(quote.author));
+
+        if (!avatar || emoji) return;
+
+        group.append('clipPath')
+            .attr('id', clipId)
+            .append('circle')
+            .attr('cx', x + r)
+            .attr('cy', y + r)
+            .attr('r', r);
+
+        group.append('image')
+            .attr('href', avatar)
             .attr('x', x)
-            .attr('y', y + lineNumber * lineHeight)
-            .attr('font-size', fontSize)
-            .attr('font-family', 'Crimson Text, serif')
-            .attr('fill', '#333')
-            .text(line.trim());
+            .attr('y', y)
+            .attr('width', size)
+            .attr('height', size)
+            .attr('preserveAspectRatio', 'xMidYMid slice')
+            .attr('clip-path', `url(#${clipId})`)
+            .on('error', function () {
+                console.warn(`⚠️  Could not load avatar "${avatar}"`);
+                d3.select(this).remove(); // The initials stay
+            });
+    }
+
+    // Helper to wrap text at measured widths (see text-layout.js), honoring
+    // line breaks; returns the number of lines
+    wrapText(group, text, x, y, maxWidth, fontSize) {
+        const lines = wrapLines(text, maxWidth, `${fontSize}px ${SERIF_FONT}`);
+        this.appendLines(group, lines, x, y, fontSize);
+        return lines.length;
+    }
+
+    // One <text> per line, the first with its baseline at y
+    appendLines(group, lines, x, y, fontSize) {
+        const lineHeight = fontSize + 4;
+        lines.forEach((line, i) => {
+            group.append('text')
+                .attr('x', x)
+                .attr('y', y + i * lineHeight)
+                .attr('font-size', fontSize)
+                .attr('font-family', SERIF_FONT)
+                .attr('fill', '#333')
+                .text(line);
+        });
     }
 
     createBudgetKPIsViz(container, slide) {
@@ -456,9 +1353,7 @@ export class VisualizationManager {
         const { kpis } = slide.content;
         const isMobile = this.isMobile();
 
-        const svg = container.append('svg')
-            .attr('width', width)
-            .attr('height', height);
+        const svg = this.appendSvg(container);
 
         // Responsive card sizing and positioning
         const cardWidth = isMobile ? Math.min(300, width - 40) : 350;
@@ -466,6 +1361,7 @@ export class VisualizationManager {
         const spacing = isMobile ? 30 : 50;
         const totalWidth = cardWidth * 2 + spacing;
         const startX = (width - totalWidth) / 2;
+        const counters = [];
 
         kpis.forEach((kpi, i) => {
             // Mobile: Stack vertically, Desktop: Side-by-side
@@ -473,7 +1369,8 @@ export class VisualizationManager {
             const y = isMobile ? 150 + i * (cardHeight + spacing) : height / 2;
 
             // Card background
-            svg.append('rect')
+            const card = svg.append('rect')
+                .attr('class', 'kpi-card')
                 .attr('x', x)
                 .attr('y', y - 100)
                 .attr('width', cardWidth)
@@ -482,12 +1379,19 @@ export class VisualizationManager {
                 .attr('fill', 'white')
                 .attr('stroke', kpi.color)
                 .attr('stroke-width', 3)
-                .attr('opacity', 0)
-                .transition()
-                .delay(500 + i * 300)
-                .duration(600)
+                .attr('opacity', 0);
+
+            card.transition()
+                .delay(this.timing(500 + i * 300))
+                .duration(this.timing(600))
                 .attr('opacity', 1);
 
+            // The exact value (the counter may still be running) plus note
+            this.tooltip.attach(card, () => ({
+                rows: [[kpi.label, this.format.format(kpi.value, kpi), kpi.color]],
+                notes: [kpi.note]
+            }));
+
             // Label
             svg.append('text')
                 .attr('x', x + cardWidth / 2)
@@ -496,11 +1400,12 @@ export class VisualizationManager {
                 .attr('font-size', 18)
                 .attr('font-family', 'Crimson Text, serif')
                 .attr('fill', '#6B7280')
+                .style('pointer-events', 'none') // Hovering the text counts as the card
                 .text(kpi.label)
                 .attr('opacity', 0)
                 .transition()
-                .delay(600 + i * 300)
-                .duration(600)
+                .delay(this.timing(600 + i * 300))
+                .duration(this.timing(600))
                 .attr('opacity', 1);
 
             // Animated value
@@ -512,168 +1417,252 @@ export class VisualizationManager {
                 .attr('font-family', 'IBM Plex Mono, monospace')
                 .attr('font-weight', kpi.emphasis ? '600' : '400')
                 .attr('fill', kpi.color)
-                .text((kpi.prefix || '') + '0 ' + kpi.unit);
-
-            // Number tween animation with unique transition name
-            valueText
-                .transition(`kpi-${i}`)
-                .delay(700 + i * 300)
-                .duration(2000)
-                .tween('text', function() {
-                    const interpolator = d3.interpolateNumber(0, kpi.value);
-                    const prefix = kpi.prefix || '';
-                    const unit = kpi.unit;
-                    return function(t) {
-                        const val = Math.round(interpolator(t));
-                        this.textContent = prefix + val.toLocaleString('sv-SE') + ' ' + unit;
-                    };
-                });
+                .style('pointer-events', 'none')
+                .text(this.format.format(0, kpi));
+
+            counters.push({ valueText, kpi, start: i * 0.1 });
         });
+
+        // Screen readers get the final values once, not every counter tick,
+        // and not again when a resize or rotation re-renders the step
+        const liveRegion = container.append('p')
+            .attr('class', 'sr-only')
+            .attr('aria-live', 'polite');
+        if (!this.instant) {
+            this.activeAnimations.push(setTimeout(() => {
+                liveRegion.text(kpis
+                    .map(kpi => `${kpi.label}: ${this.format.format(kpi.value, kpi)}`)
+                    .join('. '));
+            }, 100));
+        }
+
+        // Scroll-driven counters: count up with scroll position, down when
+        // scrolling back
+        return {
+            progress: t => {
+                counters.forEach(({ valueText, kpi, start }) => {
+                    const local = d3.easeCubicOut(progressSegment(t, start, start + 0.6));
+                    const val = Math.round(kpi.value * local);
+                    valueText.text(this.format.format(val, kpi));
+                });
+            }
+        };
     }
 
     createProjectionChartViz(container, slide) {
+        const chart = slide.content.chart;
         const width = window.innerWidth;
         const height = window.innerHeight;
-        const margin = { top: 100, right: 100, bottom: 100, left: 100 };
+        // Extra room on the left for a rotated y_label next to the tick labels
+        const margin = { top: 100, right: 100, bottom: 100, left: chart.y_label ? 130 : 100 };
         const chartWidth = width - margin.left - margin.right;
         const chartHeight = height - margin.top - margin.bottom;
 
-        const { historical, projection } = slide.content.chart;
+        const series = chartSeries(chart);
+        const { xDomain, yDomain, yScaleType, clamp } = chartScales(chart, series);
+        // chart.unit / currency / compact override the story's metadata
+        const formatValue = d => this.format.format(d, chart);
 
-        const svg = container.append('svg')
-            .attr('width', width)
-            .attr('height', height);
+        const svg = this.appendSvg(container);
 
         const g = svg.append('g')
             .attr('transform', `translate(${margin.left},${margin.top})`);
 
         // Scales
-        const allData = [...historical, ...projection.slice(1)]; // Exclude duplicate 2025
         const xScale = d3.scaleLinear()
-            .domain([2016, 2035])
+            .domain(xDomain)
             .range([0, chartWidth]);
 
-        // Limit Y-axis to 100,000 kr so early years are visible
-        const yScale = d3.scaleLinear()
-            .domain([0, 100000])
+        const yScale = (yScaleType === 'log' ? d3.scaleLog() : d3.scaleLinear())
+            .domain(yDomain)
             .range([chartHeight, 0]);
 
+        // Round computed domains outwards (never an explicit domain or the clamp)
+        if (!chart.y_domain && yScaleType !== 'clamped') {
+            yScale.nice();
+        }
+
+        // Values above the clamp sit in a band above the axis break
+        const overflowY = -30;
+        const isOverflow = d => d.value > clamp;
+        const y = d => (isOverflow(d) ? overflowY : yScale(d.value));
+        // Log scales can't show zero or negative values
+        const isDrawable = d => yScaleType !== 'log' || d.value > 0;
+
+        // Log axes only label powers of ten
+        const yAxisGenerator = () => (yScaleType === 'log'
+            ? d3.axisLeft(yScale).ticks(5, formatValue)
+            : d3.axisLeft(yScale).tickFormat(formatValue));
+
         // Grid lines
         g.append('g')
             .attr('class', 'grid')
             .attr('opacity', 0.1)
-            .call(d3.axisLeft(yScale)
+            .call(yAxisGenerator()
                 .tickSize(-chartWidth)
                 .tickFormat(''));
 
         // Axes
         const xAxis = g.append('g')
             .attr('transform', `translate(0,${chartHeight})`)
-            .call(d3.axisBottom(xScale).tickFormat(d3.format('d')));
+            .call(d3.axisBottom(xScale)
+                .ticks(Math.min(10, xDomain[1] - xDomain[0])) // Whole years only
+                .tickFormat(d3.format('d')));
 
         xAxis.selectAll('text')
             .attr('font-size', 14)
             .attr('font-family', 'IBM Plex Mono, monospace');
 
         const yAxis = g.append('g')
-            .call(d3.axisLeft(yScale)
-                .tickFormat(d => d.toLocaleString('sv-SE') + ' kr'));
+            .call(yAxisGenerator());
 
         yAxis.selectAll('text')
             .attr('font-size', 14)
             .attr('font-family', 'IBM Plex Mono, monospace');
 
-        // Line generator
+        if (yScaleType === 'clamped') {
+            this.drawAxisBreak(g, chartWidth, overflowY);
+        }
+
+        // Axis labels
+        if (chart.x_label) {
+            g.append('text')
+                .attr('class', 'axis-label mono')
+                .attr('x', chartWidth / 2)
+                .attr('y', chartHeight + 50)
+                .attr('text-anchor', 'middle')
+                .attr('font-size', 14)
+                .style('fill', 'var(--color-text-muted)')
+                .text(chart.x_label);
+        }
+
+        if (chart.y_label) {
+            g.append('text')
+                .attr('class', 'axis-label mono')
+                .attr('transform', 'rotate(-90)')
+                .attr('x', -chartHeight / 2)
+                .attr('y', -margin.left + 20)
+                .attr('text-anchor', 'middle')
+                .attr('font-size', 14)
+                .style('fill', 'var(--color-text-muted)')
+                .text(chart.y_label);
+        }
+
         const line = d3.line()
+            .defined(isDrawable)
             .x(d => xScale(d.year))
-            .y(d => yScale(d.value));
-
-        // Historical line (black solid)
-        const historicalPath = g.append('path')
-            .datum(historical)
-            .attr('fill', 'none')
+            .y(y);
+
+        // Hover target for the crosshair, below the points so they keep
+        // their own tooltips
+        const overlay = g.append('rect')
+            .attr('class', 'chart-overlay')
+            .attr('x', 0)
+            .attr('y', overflowY - 10)
+            .attr('width', chartWidth)
+            .attr('height', chartHeight - overflowY + 10)
+            .attr('fill', 'transparent');
+
+        const crosshair = g.append('line')
+            .attr('class', 'crosshair')
+            .attr('y1', overflowY - 10)
+            .attr('y2', chartHeight)
             .attr('stroke', '#1a1a1a')
-            .attr('stroke-width', 3)
-            .attr('d', line);
-
-        // Animate historical line
-        const historicalLength = historicalPath.node().getTotalLength();
-        historicalPath
-            .attr('stroke-dasharray', historicalLength)
-            .attr('stroke-dashoffset', historicalLength)
-            .transition('historical-line')
-            .duration(2000)
-            .attr('stroke-dashoffset', 0);
-
-        // Projection line (red dashed) - appears after historical
-        setTimeout(() => {
-            const projectionPath = g.append('path')
-                .datum(projection)
-                .attr('fill', 'none')
-                .attr('stroke', '#C84B4B')
-                .attr('stroke-width', 3)
-                .attr('stroke-dasharray', '10,5')
-                .attr('d', line);
-
-            const projectionLength = projectionPath.node().getTotalLength();
-            projectionPath
-                .attr('stroke-dasharray', `10,5,${projectionLength}`)
-                .attr('stroke-dashoffset', projectionLength)
-                .transition('projection-line')
-                .duration(2000)
-                .attr('stroke-dashoffset', 0);
-        }, 2000);
-
-        // Data points (historical only)
-        g.selectAll('.data-point')
-            .data(historical)
-            .enter()
-            .append('circle')
-            .attr('class', 'data-point')
-            .attr('cx', d => xScale(d.year))
-            .attr('cy', d => yScale(d.value))
-            .attr('r', 5)
-            .attr('fill', '#1a1a1a')
+            .attr('stroke-dasharray', '3,3')
             .attr('opacity', 0)
-            .transition()
-            .delay((d, i) => i * 200)
-            .duration(600)
-            .attr('opacity', 1);
-
-        // Projection data points (with clamping for values > 100k)
-        setTimeout(() => {
-            g.selectAll('.projection-point')
-                .data(projection)
+            .style('pointer-events', 'none');
+
+        // Lines are revealed left-to-right by growing clip rects, which
+        // works for dashed lines too and reverses cleanly. Series with
+        // nothing to draw (e.g. only values <= 0 on a log scale) are left out.
+        const clipId = `chart-clip-${slide.id}`;
+        const drawable = series
+            .map((s, i) => ({ s, i, points: s.points.filter(isDrawable) }))
+            .filter(({ points }) => points.length > 0);
+        const drawn = drawable.map(({ s, i, points }) => {
+            const start = xScale(points[0].year);
+            const end = xScale(points[points.length - 1].year);
+
+            const clip = svg.append('clipPath')
+                .attr('id', `${clipId}-${i}`)
+                .append('rect')
+                .attr('x', start - 10)
+                .attr('y', -margin.top)
+                .attr('height', height)
+                .attr('width', 0);
+
+            g.append('path')
+                .datum(s.points)
+                .attr('class', 'series-line')
+                .attr('fill', 'none')
+                .attr('stroke', s.style.color)
+                .attr('stroke-width', s.style.width)
+                .attr('stroke-dasharray', s.style.dash)
+                .attr('clip-path', `url(#${clipId}-${i})`)
+                .attr('d', line)
+                .style('pointer-events', 'none');
+
+            const dots = g.selectAll(null)
+                .data(points)
                 .enter()
                 .append('circle')
-                .attr('class', 'projection-point')
+                .attr('class', 'data-point')
                 .attr('cx', d => xScale(d.year))
-                .attr('cy', d => yScale(Math.min(d.value, 100000)))
+                .attr('cy', y)
                 .attr('r', 5)
-                .attr('fill', '#C84B4B')
-                .attr('opacity', 0)
-                .transition()
-                .delay((d, i) => i * 200)
-                .duration(600)
-                .attr('opacity', 1);
+                .attr('fill', s.style.color)
+                .attr('opacity', 0);
 
-            // Add annotation for off-chart values
-            const finalPoint = projection[projection.length - 1];
-            g.append('text')
-                .attr('x', xScale(finalPoint.year))
-                .attr('y', yScale(100000) - 20)
+            // Point annotations from the YAML; the last off-chart point
+            // gets its real value so the clamp doesn't hide it
+            const lastOverflow = points.filter(isOverflow).pop();
+            const labelled = points.filter(d => d.annotation || d === lastOverflow);
+            const labels = g.selectAll(null)
+                .data(labelled)
+                .enter()
+                .append('text')
+                .attr('class', 'point-annotation mono')
+                .attr('x', d => xScale(d.year))
+                .attr('y', d => y(d) - 16)
                 .attr('text-anchor', 'middle')
                 .attr('font-size', 14)
-                .attr('font-family', 'IBM Plex Mono, monospace')
-                .attr('fill', '#C84B4B')
                 .attr('font-weight', '600')
-                .text(`${(finalPoint.value / 1000).toFixed(0)}k kr ↑`)
+                .style('fill', s.style.color) // Beats the generic svg text fill
+                .text(d => d.annotation || `${this.format.formatCompact(d.value, chart)} ↑`)
                 .attr('opacity', 0)
-                .transition()
-                .delay(1000)
-                .duration(800)
-                .attr('opacity', 1);
-        }, 2200);
+                .style('pointer-events', 'none');
+
+            // Real values, also for points drawn above the axis break
+            this.tooltip.attach(dots, d => ({
+                title: d.year,
+                rows: [[s.name, formatValue(d.value), s.style.color]],
+                notes: [d.note]
+            }));
+
+            return { series: s, points, clip, dots, labels, start, end, isRevealed: () => false };
+        });
+
+        // Crosshair snaps to the nearest year and lists every revealed
+        // point there
+        this.tooltip.attach(overlay, (d, event) => {
+            const year = Math.round(xScale.invert(d3.pointer(event, g.node())[0]));
+            const hits = drawn.flatMap(entry => entry.points
+                .filter(p => p.year === year && entry.isRevealed(p))
+                .map(point => ({ point, series: entry.series })));
+            if (hits.length === 0) return null;
+
+            crosshair
+                .attr('x1', xScale(year))
+                .attr('x2', xScale(year))
+                .attr('opacity', 0.4);
+
+            return {
+                title: year,
+                rows: hits.map(({ point, series: s }) => [s.name, formatValue(point.value), s.style.color]),
+                // Shared points (e.g. where projection starts) carry the same note
+                notes: [...new Set(hits.map(({ point }) => point.note))]
+            };
+        }, { onHide: () => crosshair.attr('opacity', 0) });
 
         // Title
         svg.append('text')
@@ -684,10 +1673,79 @@ export class VisualizationManager {
             .attr('font-family', 'Crimson Text, serif')
             .attr('font-weight', '600')
             .attr('fill', '#8B4513')
-            .text(slide.content.chart.title)
+            .text(chart.title)
             .attr('opacity', 0)
             .transition()
-            .duration(800)
+            .duration(this.timing(800))
             .attr('opacity', 1);
+
+        // Screen-reader equivalent of the chart
+        this.appendDataTable(container, chart.title, series, formatValue);
+
+        // Scroll-driven drawing: each series gets an equal share of the
+        // step, in order, finishing at 90%
+        const share = 0.9 / drawn.length;
+
+        return {
+            progress: t => {
+                drawn.forEach((entry, i) => {
+                    const { clip, dots, labels, start, end } = entry;
+                    const seriesT = progressSegment(t, i * share, (i + 1) * share);
+                    const revealedX = start + seriesT * (end - start);
+                    const isRevealed = d => seriesT > 0 && xScale(d.year) <= revealedX + 0.5;
+
+                    clip.attr('width', seriesT > 0 ? revealedX - start + 10 : 0);
+                    dots.attr('opacity', d => (isRevealed(d) ? 1 : 0))
+                        .style('pointer-events', d => (isRevealed(d) ? null : 'none'));
+                    labels.attr('opacity', d => (isRevealed(d) ? 1 : 0));
+                    entry.isRevealed = isRevealed;
+                });
+            }
+        };
+    }
+
+    // Broken y-axis: the axis continues past a zig-zag into the overflow band
+    drawAxisBreak(g, chartWidth, overflowY) {
+        const breakY = overflowY / 2;
+
+        g.append('line')
+            .attr('class', 'axis-overflow')
+            .attr('x1', 0)
+            .attr('x2', 0)
+            .attr('y1', 0)
+            .attr('y2', overflowY - 10)
+            .attr('stroke', 'currentColor');
+
+        // Faint line where the clamp sits
+        g.append('line')
+            .attr('class', 'clamp-line')
+            .attr('x1', 0)
+            .attr('x2', chartWidth)
+            .attr('y1', 0)
+            .attr('y2', 0)
+            .attr('stroke', '#1a1a1a')
+            .attr('stroke-dasharray', '2,4')
+            .attr('opacity', 0.3);
+
+        const marker = g.append('g')
+            .attr('class', 'axis-break')
+            .attr('transform', `translate(0,${breakY})`);
+
+        marker.append('rect')
+            .attr('x', -8)
+            .attr('y', -3)
+            .attr('width', 16)
+            .attr('height', 6)
+            .style('fill', 'var(--color-bg)');
+
+        [-3, 3].forEach(offset => {
+            marker.append('line')
+                .attr('x1', -8)
+                .attr('x2', 8)
+                .attr('y1', offset + 3)
+                .attr('y2', offset - 3)
+                .attr('stroke', '#1a1a1a')
+                .attr('stroke-width', 1.5);
+        });
     }
 }
@@ -0,0 +1,244 @@
+/**
+ * Service Worker - Keeps the story working offline after the first visit
+ *
+ * Install: caches the app shell (PRECACHE), the vendored font files, and
+ * every story in data/stories.json together with the images it references
+ * (local assets/ copies from `export_from_yaml.py --offline`, or the remote
+ * URLs if a story wasn't mirrored) and its local audio, video and caption
+ * files.
+ *
+ * Fetch: same-origin requests and images are answered from the cache and
+ * refreshed in the background (stale-while-revalidate), so edits still show
+ * up on the next load but a dead Wi-Fi doesn't break the page. Audio and
+ * video are requested in byte ranges, which the Cache API can't store: they
+ * are cached whole (at install, or in the background on first play) and
+ * ranges are cut from the cached copy.
+ *
+ * Bump CACHE_VERSION when adding files to PRECACHE.
+ */
+
+const CACHE_VERSION = 'v11';
+const CACHE_NAME = `majas-present-${CACHE_VERSION}`;
+
+const PRECACHE = [
+    './',
+    'index.html',
+    'stories.html',
+    'css/reset.css',
+    'css/variables.css',
+    'css/scrollytelling.css',
+    'vendor/fonts/fonts.css',
+    'vendor/d3.v7.min.js',
+    'vendor/gsap.min.js',
+    'vendor/ScrollTrigger.min.js',
+    'js/main.js',
+    'js/visualizations.js',
+    'js/slide-registry.js',
+    'js/slide-types.js',
+    'js/stories.js',
+    'js/schema.js',
+    'js/text.js',
+    'js/presentation.js',
+    'js/story-index.js',
+    'js/icon-cloud.js',
+    'js/chart-data.js',
+    'js/tooltip.js',
+    'js/format.js',
+    'js/i18n.js',
+    'js/language-switcher.js',
+    'js/offline.js',
+    'js/image-loader.js',
+    'js/lightbox.js',
+    'js/scatter-layout.js',
+    'js/layout-editor.js',
+    'js/guess.js',
+    'js/unlock.js',
+    'js/countdown.js',
+    'js/birthday.js',
+    'js/confetti.js',
+    'js/soundtrack.js',
+    'js/captions.js',
+    'js/text-layout.js',
+    'data/stories.json',
+    'data/story.schema.json'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(PRECACHE);
+
+        // Fonts and story images are best effort: one dead image URL
+        // shouldn't keep the rest of the story from working offline
+        const urls = [...await fontUrls(cache), ...await storyUrls(cache)];
+        await Promise.allSettled(urls.map(url => cacheUrl(cache, url)));
+        console.log(`📴 Cached ${PRECACHE.length + urls.length} files for offline use`);
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('majas-present-') && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const sameOrigin = new URL(request.url).origin === self.location.origin;
+    if (!sameOrigin && request.destination !== 'image') return;
+
+    if (sameOrigin && isMedia(request)) {
+        event.respondWith(mediaResponse(event, request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+});
+
+function isMedia(request) {
+    return request.destination === 'audio' || request.destination === 'video' || request.headers.has('range');
+}
+
+// Media files being downloaded whole for the cache, by URL
+const mediaDownloads = new Set();
+
+async function mediaResponse(event, request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request.url);
+    if (cached) {
+        return rangeResponse(request, cached);
+    }
+
+    // Play from the network now, keep a whole copy for next time
+    if (!mediaDownloads.has(request.url)) {
+        mediaDownloads.add(request.url);
+        event.waitUntil(fetch(request.url)
+            .then(response => (response.status === 200 ? cache.put(request.url, response) : null))
+            .catch(() => {}) // Offline or gone: try again on the next play
+            .finally(() => mediaDownloads.delete(request.url)));
+    }
+    return fetch(request);
+}
+
+// The requested "Range: bytes=start-end" of a cached file (206), or all of it
+async function rangeResponse(request, cached) {
+    const range = request.headers.get('range');
+    if (!range) return cached;
+
+    const blob = await cached.blob();
+    const size = blob.size;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+    let start = match && match[1] ? Number(match[1]) : null;
+    let end = match && match[2] ? Number(match[2]) : size - 1;
+    if (match && start === null && match[2]) {
+        start = Math.max(0, size - Number(match[2])); // bytes=-500: the last 500
+        end = size - 1;
+    }
+
+    if (start === null || start >= size || start > end) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+    }
+
+    end = Math.min(end, size - 1);
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        headers: {
+            'Content-Type': cached.headers.get('Content-Type') || blob.type,
+            'Content-Range': `bytes ${start}-${end}/${size}`,
+            'Content-Length': String(end - start + 1),
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
+
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(CACHE_NAME);
+    // index.html?story=…&lang=… is the same page as the cached index.html
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const network = fetch(request).then(response => {
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {})); // Offline: keep the cached copy
+        return cached;
+    }
+    return network;
+}
+
+// Remote images can only be fetched opaquely (no CORS), which cache.add rejects
+async function cacheUrl(cache, url) {
+    const sameOrigin = new URL(url, self.location.href).origin === self.location.origin;
+    if (sameOrigin) {
+        return cache.add(url);
+    }
+    const response = await fetch(url, { mode: 'no-cors' });
+    return cache.put(url, response);
+}
+
+// The woff2 files referenced by vendor/fonts/fonts.css
+async function fontUrls(cache) {
+    const response = await cache.match('vendor/fonts/fonts.css');
+    const css = await response.text();
+    return [...css.matchAll(/url\(([^)]+)\)/g)].map(([, file]) => `vendor/fonts/${file}`);
+}
+
+// Every story file plus every image "url" (and "fallback_url") and local
+// media file in it
+async function storyUrls(cache) {
+    const response = await cache.match('data/stories.json');
+    const manifest = await response.json();
+    const urls = [];
+
+    await Promise.allSettled(manifest.stories.map(async story => {
+        await cache.add(story.file);
+        const data = await (await cache.match(story.file)).json();
+        urls.push(...imageUrls(data), ...mediaUrls(data).filter(isLocal));
+    }));
+
+    return urls;
+}
+
+// Remote media can only be fetched opaquely, which can't be cut into ranges
+function isLocal(url) {
+    return new URL(url, self.location.href).origin === self.location.origin;
+}
+
+function imageUrls(value) {
+    if (Array.isArray(value)) {
+        return value.flatMap(imageUrls);
+    }
+    if (value !== null && typeof value === 'object') {
+        const own = [value.url, value.fallback_url].filter(url => typeof url === 'string');
+        return [...own, ...Object.values(value).flatMap(imageUrls)];
+    }
+    return [];
+}
+
+// Audio/video "src", video "poster" and "captions" (a file, or one per
+// language) of voice notes, videos, the soundtrack and audio cues
+function mediaUrls(value) {
+    if (Array.isArray(value)) {
+        return value.flatMap(mediaUrls);
+    }
+    if (value !== null && typeof value === 'object') {
+        const own = ['src', 'poster', 'captions'].flatMap(key => {
+            const field = value[key];
+            if (typeof field === 'string') return [field];
+            return field && typeof field === 'object' ? Object.values(field).filter(url => typeof url === 'string') : [];
+        });
+        return [...own, ...Object.values(value).flatMap(mediaUrls)];
+    }
+    return [];
+}
@@ -0,0 +1,85 @@
+"""
+Waveform peaks for voice-notes slides, computed with ffmpeg on export.
+
+Every note without `peaks` gets PEAK_COUNT values between 0 and 1 (the
+loudest part of the note is 1) plus its `duration` in seconds, so the
+browser can draw the waveform without downloading and decoding the audio
+first (see createVoiceNotesViz in docs/js/visualizations.js).
+
+Local `src` paths are relative to docs/; remote URLs are read by ffmpeg
+directly. Without ffmpeg the notes are left as they are and drawn with a
+flat placeholder waveform.
+"""
+
+import array
+import shutil
+import subprocess
+import sys
+
+
+# Bars per waveform; docs/js/visualizations.js uses as many for placeholders
+PEAK_COUNT = 64
+
+# Decoding rate (Hz), plenty for a waveform and quick to read
+SAMPLE_RATE = 8000
+
+
+def decode(source):
+    """Mono 16-bit samples of an audio file or URL."""
+    result = subprocess.run(
+        ['ffmpeg', '-v', 'error', '-i', str(source),
+         '-ac', '1', '-ar', str(SAMPLE_RATE), '-f', 's16le', '-'],
+        capture_output=True, check=True, timeout=120)
+    raw = result.stdout
+    samples = array.array('h')
+    samples.frombytes(raw[:len(raw) - len(raw) % 2])
+    if sys.byteorder == 'big':
+        samples.byteswap()  # s16le
+    return samples
+
+
+def compute_peaks(samples, count=PEAK_COUNT):
+    """Loudest sample per slice, scaled so the loudest slice is 1."""
+    if not samples:
+        return [0.0] * count
+
+    size = len(samples) / count
+    peaks = []
+    for i in range(count):
+        start = int(i * size)
+        chunk = samples[start:max(int((i + 1) * size), start + 1)]
+        peaks.append(max((abs(sample) for sample in chunk), default=0))
+
+    loudest = max(peaks) or 1
+    return [round(peak / loudest, 3) for peak in peaks]
+
+
+def voice_notes(data):
+    for slide in data.get('slides', []):
+        if slide.get('type') == 'voice-notes':
+            yield from slide.get('content', {}).get('notes', [])
+
+
+def add_voice_note_peaks(data, docs_dir):
+    """Fill in peaks/duration of voice notes. Returns the number of notes."""
+    notes = [note for note in voice_notes(data) if 'peaks' not in note]
+    if not notes:
+        return 0
+    if not shutil.which('ffmpeg'):
+        print("⚠️  ffmpeg not found, voice notes get a flat waveform", file=sys.stderr)
+        return 0
+
+    done = 0
+    for note in notes:
+        src = note['src']
+        source = src if src.startswith(('http://', 'https://')) else docs_dir / src
+        try:
+            samples = decode(source)
+        except (subprocess.CalledProcessError, subprocess.TimeoutExpired) as error:
+            print(f"⚠️  Could not read {src}: {error}", file=sys.stderr)
+            continue
+
+        note['peaks'] = compute_peaks(samples)
+        note.setdefault('duration', round(len(samples) / SAMPLE_RATE, 2))
+        done += 1
+    return done
@@ -2,31 +2,268 @@
 """
 Export YAML data to JSON for frontend consumption.
 
-This script reads the birthday_data.yaml file and converts it to JSON format
-for the web frontend to load. Part of the YAML → JSON data pipeline.
+This script reads every story in data/raw/*.yaml and converts it to JSON
+format for the web frontend to load. It also writes the story manifest
+(docs/data/stories.json) that the frontend uses to pick a story via the
+?story=<id> query parameter. Part of the YAML → JSON data pipeline.
+
+Every story is validated against docs/data/story.schema.json first; the
+export fails listing each problem with its YAML file and line number.
+Translated text ({sv: ..., en: ...}) missing one of metadata.languages is
+reported as a warning.
+
+Guess answers marked `hash: true` are exported as hashes only (see
+guess_answers.py), voice notes get waveform peaks (audio_peaks.py, needs
+ffmpeg), and slides with `unlock` are completed from the git-ignored
+data/secret/<story>.yaml and encrypted (see lock_slides.py; --passcode
+gives their passcodes).
+
+With --offline, remote images are downloaded into docs/assets/ and the JSON
+points at the local copies (see mirror_assets.py). Locked slides are
+encrypted before that, so their images stay remote and never get a
+readable copy in docs/assets/.
 """
 
+import argparse
+import sys
 import yaml
 import json
+from datetime import date, datetime
 from pathlib import Path
+from jsonschema import Draft202012Validator
 
+from guess_answers import hash_guess_answers
+from audio_peaks import add_voice_note_peaks
+from lock_slides import add_secrets, lock_slides
 
-def export_yaml_to_json():
-    """Convert YAML data file to JSON for web consumption."""
-    # Define paths relative to script location
-    script_dir = Path(__file__).parent
-    project_root = script_dir.parent
 
-    yaml_file = project_root / 'data' / 'raw' / 'birthday_data.yaml'
-    json_file = project_root / 'docs' / 'data' / 'birthday_data.json'
+# Story loaded when no ?story=<id> is given
+DEFAULT_STORY = 'birthday_data'
 
-    # Ensure output directory exists
-    json_file.parent.mkdir(parents=True, exist_ok=True)
+# Story language when metadata has neither language nor languages
+DEFAULT_LANGUAGE = 'sv'
+
+
+class StoryValidationError(Exception):
+    """Raised when a story does not match the schema. Holds every problem."""
+
+    def __init__(self, problems):
+        super().__init__(f"{len(problems)} problem(s)")
+        self.problems = problems
+
+
+def yaml_line(root_node, path):
+    """Find the 1-based YAML line of the value at a JSON path.
+
+    Walks the composed node tree; stops at the deepest node that exists
+    (e.g. the parent mapping when a required key is missing).
+    """
+    node = root_node
+    for key in path:
+        if isinstance(node, yaml.MappingNode):
+            child = next((v for k, v in node.value if k.value == key), None)
+        elif isinstance(node, yaml.SequenceNode) and isinstance(key, int) and key < len(node.value):
+            child = node.value[key]
+        else:
+            child = None
+        if child is None:
+            break
+        node = child
+    return node.start_mark.line + 1
+
+
+def format_path(path):
+    """Render a JSON path like slides[2].content.kpis."""
+    out = ''
+    for key in path:
+        out += f'[{key}]' if isinstance(key, int) else (f'.{key}' if out else key)
+    return out or '(root)'
+
+
+def duplicate_step_problems(data):
+    """Cross-slide rule JSON Schema can't express: panels are keyed by step."""
+    seen = set()
+    problems = []
+    for i, slide in enumerate(data.get('slides') or []):
+        step = slide.get('step') if isinstance(slide, dict) else None
+        if not isinstance(step, int):
+            continue
+        if step in seen:
+            problems.append((['slides', i, 'step'], f'duplicate step {step}'))
+        seen.add(step)
+    return problems
+
+
+def date_problems(data):
+    """metadata.birth_date / party_date must be ISO dates the browser can read."""
+    metadata = data.get('metadata') or {}
+    problems = []
+    for key in ('birth_date', 'party_date'):
+        value = metadata.get(key)
+        if not isinstance(value, str):
+            continue
+        try:
+            datetime.fromisoformat(value)
+        except ValueError:
+            problems.append((['metadata', key], 'must be a date like 1989-11-12 (or 2025-11-12T18:00)'))
+    return problems
+
+
+def story_age(metadata, today=None):
+    """Age turned on party_date (today without one), else metadata.age.
+
+    Must match storyAge in docs/js/birthday.js.
+    """
+    if not metadata.get('birth_date'):
+        return metadata.get('age')
+
+    birth = datetime.fromisoformat(metadata['birth_date']).date()
+    party = metadata.get('party_date')
+    on = datetime.fromisoformat(party).date() if party else (today or date.today())
+    return on.year - birth.year - ((on.month, on.day) < (birth.month, birth.day))
+
+
+def story_languages(data):
+    """Languages the story is written in, default language first."""
+    metadata = data.get('metadata') or {}
+    return metadata.get('languages') or [metadata.get('language') or DEFAULT_LANGUAGE]
+
+
+def is_translation_map(value, languages):
+    """An object whose keys are all story languages, whatever the values.
+
+    Must match isTranslationMap in docs/js/i18n.js.
+    """
+    return isinstance(value, dict) and bool(value) and all(key in languages for key in value)
+
+
+def translation_maps(value, languages, path=()):
+    """Yield (path, texts) for every object with a story language as a key.
+
+    Translation maps aren't looked into, like the browser doesn't.
+    """
+    if isinstance(value, dict):
+        if set(value) & set(languages):
+            yield list(path), value
+            if is_translation_map(value, languages):
+                return
+        for key, child in value.items():
+            yield from translation_maps(child, languages, (*path, key))
+    elif isinstance(value, list):
+        for i, child in enumerate(value):
+            yield from translation_maps(child, languages, (*path, i))
+
+
+def translation_problems(data):
+    """Check translations against metadata.languages.
 
+    Returns (problems, warnings): an object mixing story languages with
+    other keys (say a language the story doesn't list) isn't a translation
+    map to the browser, which would show it as is, so it fails the export;
+    a missing translation falls back to the default language in the
+    browser, so it is only reported.
+    """
+    languages = story_languages(data)
+    problems, warnings = [], []
+    for path, texts in translation_maps(data, languages):
+        if not is_translation_map(texts, languages):
+            unknown = [key for key in texts if key not in languages]
+            problems.append((path, f"{', '.join(unknown)} not in metadata.languages, so this isn't translated"))
+            continue
+        missing = [lang for lang in languages if lang not in texts]
+        if missing:
+            warnings.append((path, f"missing translation(s): {', '.join(missing)}"))
+    return problems, warnings
+
+
+def validate_story(yaml_file, text, data, validator):
+    """Validate parsed story data, raising StoryValidationError on problems.
+
+    Returns warnings (missing translations) as located messages.
+    """
+    root_node = yaml.compose(text)
+    problems = [
+        (list(error.absolute_path), error.message)
+        for error in validator.iter_errors(data)
+    ]
+    warnings = []
+    if isinstance(data, dict):
+        problems += duplicate_step_problems(data)
+        problems += date_problems(data)
+        language_problems, warnings = translation_problems(data)
+        problems += language_problems
+
+    def locate(path, message):
+        return f"{yaml_file}:{yaml_line(root_node, path)}: {format_path(path)}: {message}"
+
+    if problems:
+        raise StoryValidationError([locate(path, message) for path, message in problems])
+
+    return [locate(path, message) for path, message in warnings]
+
+
+def read_secrets(secrets_file, json_file):
+    """The secrets file and the last export, for completing locked slides."""
+    secrets = previous = None
+    if secrets_file and secrets_file.exists():
+        secrets = yaml.safe_load(secrets_file.read_text(encoding='utf-8'))
+    if json_file.exists():
+        previous = json.loads(json_file.read_text(encoding='utf-8'))
+    return secrets, previous
+
+
+def export_story(yaml_file, json_file, validator, assets_dir=None, passcodes=(), secrets_file=None):
+    """Convert a single YAML story file to JSON. Returns the parsed data.
+
+    Slides with unlock get the rest of their fields from secrets_file and
+    are encrypted with the matching passcode from passcodes. With
+    assets_dir, remote images of the other slides are mirrored there.
+    """
     # Load YAML
     print(f"📖 Reading {yaml_file}...")
-    with open(yaml_file, 'r', encoding='utf-8') as f:
-        data = yaml.safe_load(f)
+    text = yaml_file.read_text(encoding='utf-8')
+    data = yaml.safe_load(text)
+
+    # Locked slides are validated and encrypted with their secrets filled in
+    if isinstance(data, dict) and any('unlock' in slide for slide in data.get('slides') or []):
+        try:
+            kept = add_secrets(data, *read_secrets(secrets_file, json_file))
+        except ValueError as error:
+            raise StoryValidationError([f"{yaml_file}: {error}"])
+        for slide_id in kept:
+            print(f"⚠️  No secrets for slide '{slide_id}': kept its encrypted version from {json_file.name}",
+                  file=sys.stderr)
+
+    # Validate before writing anything
+    warnings = validate_story(yaml_file, text, data, validator)
+    if warnings:
+        print(f"⚠️  {yaml_file.name} has {len(warnings)} missing translation(s):", file=sys.stderr)
+        for warning in warnings:
+            print(f"   {warning}", file=sys.stderr)
+
+    hashed = hash_guess_answers(data)
+    if hashed:
+        print(f"🔒 Hashed the answers of {hashed} guess(es)")
+
+    # Media src paths are relative to docs/, where the JSON's folder lives
+    peaks = add_voice_note_peaks(data, json_file.parent.parent)
+    if peaks:
+        print(f"🎙️  Computed waveforms of {peaks} voice note(s)")
+
+    # Before mirroring, so a locked slide's images never get a readable copy
+    if any('unlock' in slide for slide in data.get('slides', [])):
+        try:
+            locked = lock_slides(data, passcodes)
+        except ValueError as error:
+            raise StoryValidationError([f"{yaml_file}: {error}"])
+        print(f"🔒 Encrypted {locked} locked slide(s)")
+
+    if assets_dir:
+        # Only needed (and Pillow only required) for offline builds
+        from mirror_assets import mirror_images
+        print(f"🖼️  Mirroring images into {assets_dir}...")
+        mirrored = mirror_images(data, assets_dir)
+        print(f"   {mirrored} images local")
 
     # Write JSON (pretty-printed for debugging)
     print(f"✍️  Writing {json_file}...")
@@ -35,7 +272,76 @@ def export_yaml_to_json():
 
     print(f"✅ Successfully exported {yaml_file.name} → {json_file.name}")
     print(f"   {len(data.get('slides', []))} slides processed")
+    return data
+
+
+def manifest_entry(story_id, data):
+    """Summarize a story for the manifest / story index page."""
+    metadata = data.get('metadata', {})
+    return {
+        'id': story_id,
+        'file': f'data/{story_id}.json',
+        'recipient': metadata.get('recipient'),
+        'age': story_age(metadata),
+        'year': metadata.get('year'),
+    }
+
+
+def export_yaml_to_json(offline=False, passcodes=()):
+    """Convert all YAML story files to JSON and write the story manifest."""
+    # Define paths relative to script location
+    script_dir = Path(__file__).parent
+    project_root = script_dir.parent
+
+    raw_dir = project_root / 'data' / 'raw'
+    data_dir = project_root / 'docs' / 'data'
+    manifest_file = data_dir / 'stories.json'
+    schema_file = data_dir / 'story.schema.json'
+    secrets_dir = project_root / 'data' / 'secret'
+    assets_dir = project_root / 'docs' / 'assets' if offline else None
+
+    # Ensure output directory exists
+    data_dir.mkdir(parents=True, exist_ok=True)
+
+    with open(schema_file, 'r', encoding='utf-8') as f:
+        validator = Draft202012Validator(json.load(f))
+
+    stories = []
+    failed = False
+    for yaml_file in sorted(raw_dir.glob('*.yaml')):
+        story_id = yaml_file.stem
+        try:
+            data = export_story(yaml_file, data_dir / f'{story_id}.json', validator, assets_dir, passcodes,
+                                secrets_dir / yaml_file.name)
+        except StoryValidationError as error:
+            failed = True
+            print(f"❌ {yaml_file.name} does not match {schema_file.name}:", file=sys.stderr)
+            for problem in error.problems:
+                print(f"   {problem}", file=sys.stderr)
+            continue
+        stories.append(manifest_entry(story_id, data))
+
+    if failed:
+        sys.exit(1)
+
+    story_ids = [story['id'] for story in stories]
+    manifest = {
+        'default': DEFAULT_STORY if DEFAULT_STORY in story_ids else story_ids[0],
+        'stories': stories,
+    }
+
+    print(f"✍️  Writing {manifest_file}...")
+    with open(manifest_file, 'w', encoding='utf-8') as f:
+        json.dump(manifest, f, ensure_ascii=False, indent=2)
+
+    print(f"✅ Manifest lists {len(stories)} stories (default: {manifest['default']})")
 
 
 if __name__ == '__main__':
-    export_yaml_to_json()
+    parser = argparse.ArgumentParser(description=__doc__.strip().splitlines()[0])
+    parser.add_argument('--offline', action='store_true',
+                        help='download remote images into docs/assets/ and point the JSON at them')
+    parser.add_argument('--passcode', action='append', default=[],
+                        help='passcode of slides with unlock.passcode_check (repeat for several)')
+    args = parser.parse_args()
+    export_yaml_to_json(offline=args.offline, passcodes=args.passcode)
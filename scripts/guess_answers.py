@@ -0,0 +1,43 @@
+"""
+Hash guess answers so they can't be read in the exported JSON.
+
+A text-with-dots slide can ask the reader to guess (content.guess, see
+docs/js/guess.js). With `hash: true` its `answers` are replaced by
+`answer_hashes`: SHA-256 of each normalized answer, which the browser
+compares against the hash of the reader's guess. Typo tolerance only works
+for plain answers.
+"""
+
+import hashlib
+import unicodedata
+
+
+def normalize_answer(text):
+    """Lowercase letters and digits only, accents stripped.
+
+    Must match normalizeAnswer in docs/js/guess.js.
+    """
+    decomposed = unicodedata.normalize('NFKD', str(text))
+    without_marks = ''.join(c for c in decomposed if not unicodedata.category(c).startswith('M'))
+    return ''.join(c for c in without_marks.lower() if unicodedata.category(c)[0] in 'LN')
+
+
+def hash_answer(text):
+    return hashlib.sha256(normalize_answer(text).encode('utf-8')).hexdigest()
+
+
+def hash_guess_answers(data):
+    """Replace answers with answer_hashes in every guess marked hash: true.
+
+    Returns the number of guesses hashed.
+    """
+    hashed = 0
+    for slide in data.get('slides', []):
+        guess = (slide.get('content') or {}).get('guess')
+        if not guess or not guess.pop('hash', False):
+            continue
+
+        answers = guess.pop('answers', [])
+        guess['answer_hashes'] = sorted({hash_answer(answer) for answer in answers})
+        hashed += 1
+    return hashed
@@ -0,0 +1,178 @@
+#!/usr/bin/env python3
+"""
+Encrypt slides that declare `unlock`, so surprises aren't in the public JSON.
+
+A slide with
+
+    unlock:
+      after: "2025-11-12T08:00"     # local time in the reader's browser
+      passcode_check: "pbkdf2-sha256$..."   # from: python scripts/lock_slides.py <passcode>
+
+is exported as a "locked" slide (docs/js/unlock.js): only its id, step and
+layout stay readable, the rest is encrypted with AES-256-GCM.
+
+The story YAML is public, so the rest of a locked slide (type, content,
+audio, ...) isn't written there but in data/secret/<story>.yaml, keyed by
+slide id. That folder is git-ignored; a slide missing from it keeps its
+encrypted version from the last export.
+
+- passcode_check: the key is derived from the passcode (PBKDF2-SHA256), which
+  is never written anywhere. Pass it to the export with --passcode (or type
+  it when asked); it is checked against passcode_check, a salted PBKDF2
+  hash with as many rounds as the key, so guessing the passcode from it is
+  no easier than from the ciphertext.
+- after only: the key has to ship with the slide so the browser can open it
+  on time. That keeps the slide out of view-source and DevTools searches,
+  but anyone determined can still decrypt it early, so the export refuses
+  it unless the slide opts in with `ship_key: true`.
+
+Run directly to print the passcode_check for a passcode.
+"""
+
+import base64
+import getpass
+import hashlib
+import hmac
+import json
+import os
+import sys
+from datetime import datetime
+
+
+# PBKDF2 rounds; docs/js/unlock.js reads them from the slide
+ITERATIONS = 310_000
+
+# Fields left readable on a locked slide
+PUBLIC_FIELDS = ('id', 'step', 'layout')
+
+
+def b64(raw):
+    return base64.b64encode(raw).decode('ascii')
+
+
+def passcode_check(passcode, salt=None, iterations=ITERATIONS):
+    """Salted PBKDF2-SHA256 of a passcode: "pbkdf2-sha256$<rounds>$<salt>$<hash>"."""
+    salt = salt or os.urandom(16)
+    digest = hashlib.pbkdf2_hmac('sha256', passcode.strip().encode('utf-8'), salt, iterations)
+    return f'pbkdf2-sha256${iterations}${b64(salt)}${b64(digest)}'
+
+
+def passcode_matches(passcode, check):
+    try:
+        _, iterations, salt, _ = check.split('$')
+        expected = passcode_check(passcode, base64.b64decode(salt), int(iterations))
+    except ValueError:  # Not a passcode_check string
+        return False
+    return hmac.compare_digest(expected, check)
+
+
+def find_passcode(check, passcodes, slide_id):
+    """The given passcode matching check, asking for it if needed."""
+    for passcode in passcodes:
+        if passcode_matches(passcode, check):
+            return passcode
+
+    if sys.stdin.isatty():
+        passcode = getpass.getpass(f"🔑 Passcode for slide '{slide_id}': ")
+        if passcode_matches(passcode, check):
+            passcodes.append(passcode)
+            return passcode
+    raise ValueError(f"slide '{slide_id}': no --passcode matches unlock.passcode_check")
+
+
+def add_secrets(data, secrets, previous=None):
+    """Complete the slides with unlock from their secrets file.
+
+    secrets: {slide id: fields} from data/secret/<story>.yaml (or None).
+    A slide missing there is replaced by its locked version in previous,
+    the last exported JSON, so the story still exports without the file.
+    Returns the ids of those slides. Raises ValueError for a slide with
+    neither, or secrets setting a public field.
+    """
+    secrets = secrets or {}
+    last_export = {slide.get('id'): slide for slide in (previous or {}).get('slides', [])}
+    slides = data.get('slides', [])
+    kept = []
+    for index, slide in enumerate(slides):
+        if 'unlock' not in slide:
+            continue
+
+        fields = secrets.get(slide['id'])
+        if fields is not None:
+            public = sorted(set(fields) & {*PUBLIC_FIELDS, 'unlock'})
+            if public:
+                raise ValueError(f"slide '{slide['id']}': set {', '.join(public)} in the story, not its secrets")
+            slide.update(fields)
+            continue
+
+        locked = last_export.get(slide['id'])
+        if not locked or locked.get('type') != 'locked':
+            raise ValueError(f"slide '{slide['id']}' has unlock but no content in data/secret/ "
+                             "(nor an earlier export to keep)")
+        slides[index] = {**{k: slide[k] for k in PUBLIC_FIELDS if k in slide}, 'type': 'locked',
+                         'content': locked['content']}
+        kept.append(slide['id'])
+    return kept
+
+
+def encrypt_slide(slide, passcodes):
+    """Return the locked replacement for a slide with unlock."""
+    # Only needed (and cryptography only required) for stories with locks
+    from cryptography.hazmat.primitives.ciphers.aead import AESGCM
+
+    unlock = slide['unlock']
+    after = unlock.get('after')
+    if after is not None:
+        try:
+            datetime.fromisoformat(str(after))
+        except ValueError:
+            raise ValueError(f"slide '{slide['id']}': unlock.after must be a date/time like 2025-11-12T08:00")
+
+    if not unlock.get('passcode_check') and not unlock.get('ship_key'):
+        raise ValueError(
+            f"slide '{slide['id']}': without passcode_check the key ships in the JSON and anyone "
+            "can open the slide early; add a passcode_check, or ship_key: true to accept that")
+
+    content = {}
+    if unlock.get('passcode_check'):
+        passcode = find_passcode(unlock['passcode_check'], passcodes, slide['id'])
+        salt = os.urandom(16)
+        key = hashlib.pbkdf2_hmac('sha256', passcode.strip().encode('utf-8'), salt, ITERATIONS, dklen=32)
+        content.update(salt=b64(salt), iterations=ITERATIONS)
+    else:
+        key = AESGCM.generate_key(bit_length=256)
+        content['key'] = b64(key)
+
+    if after is not None:
+        content['after'] = str(after)
+
+    secret = {k: v for k, v in slide.items() if k not in PUBLIC_FIELDS and k != 'unlock'}
+    iv = os.urandom(12)
+    ciphertext = AESGCM(key).encrypt(iv, json.dumps(secret, ensure_ascii=False).encode('utf-8'), None)
+    content.update(iv=b64(iv), data=b64(ciphertext))
+
+    locked = {k: slide[k] for k in PUBLIC_FIELDS if k in slide}
+    locked.update(type='locked', content=content)
+    return locked
+
+
+def lock_slides(data, passcodes=()):
+    """Replace every slide with unlock by its encrypted version.
+
+    Returns the number of slides locked. Raises ValueError for a bad
+    unlock.after, a missing passcode or an after-only lock without ship_key.
+    """
+    passcodes = list(passcodes)
+    slides = data.get('slides', [])
+    locked = 0
+    for index, slide in enumerate(slides):
+        if 'unlock' in slide:
+            slides[index] = encrypt_slide(slide, passcodes)
+            locked += 1
+    return locked
+
+
+if __name__ == '__main__':
+    if len(sys.argv) != 2:
+        sys.exit(f"Usage: {sys.argv[0]} <passcode>")
+    print(passcode_check(sys.argv[1]))
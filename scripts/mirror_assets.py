@@ -0,0 +1,114 @@
+"""
+Mirror remote images into docs/assets/ for offline use.
+
+Used by `export_from_yaml.py --offline`. Every http(s) "url" in a story is
+downloaded once, shrunk to MAX_SIZE and re-encoded, and the exported JSON is
+rewritten to point at the local copy (with its width/height, and the
+original address kept as source_url). The YAML keeps the remote URLs.
+
+Files are named by a hash of their URL and never downloaded again, so a
+story keeps working after signed/expiring image URLs stop responding.
+"""
+
+import hashlib
+import io
+import re
+import sys
+import urllib.request
+
+from PIL import Image, ImageOps, UnidentifiedImageError
+
+
+# Longest side of mirrored images (px), enough for full-screen slides
+MAX_SIZE = 1600
+
+# Some image hosts refuse requests without a browser-like user agent
+USER_AGENT = 'Mozilla/5.0 (compatible; majas-present asset mirror)'
+
+
+def remote_images(value):
+    """Yield every dict in the story whose "url" is a remote address."""
+    if isinstance(value, dict):
+        url = value.get('url')
+        if isinstance(url, str) and url.startswith(('http://', 'https://')):
+            yield value
+        for child in value.values():
+            yield from remote_images(child)
+    elif isinstance(value, list):
+        for child in value:
+            yield from remote_images(child)
+
+
+def download(url):
+    request = urllib.request.Request(url, headers={'User-Agent': USER_AGENT})
+    with urllib.request.urlopen(request, timeout=30) as response:
+        return response.read()
+
+
+def svg_size(raw):
+    """Width/height attributes of an SVG (placeholder services serve SVG)."""
+    tag = re.search(rb'<svg[^>]*>', raw)
+    sizes = [re.search(rb'\b%s="(\d+)' % name, tag.group(0)) if tag else None
+             for name in (b'width', b'height')]
+    return tuple(int(size.group(1)) if size else None for size in sizes)
+
+
+def save_image(raw, path_stem):
+    """Resize and store downloaded bytes, returning the written path."""
+    try:
+        image = ImageOps.exif_transpose(Image.open(io.BytesIO(raw)))
+    except UnidentifiedImageError:
+        if b'<svg' not in raw[:1024]:
+            raise
+        path = path_stem.with_suffix('.svg')
+        path.write_bytes(raw)
+        return path
+
+    image.thumbnail((MAX_SIZE, MAX_SIZE))
+    if image.mode in ('RGBA', 'LA', 'P'):
+        path = path_stem.with_suffix('.png')
+        image.save(path, 'PNG', optimize=True)
+    else:
+        path = path_stem.with_suffix('.jpg')
+        image.convert('RGB').save(path, 'JPEG', quality=85, optimize=True, progressive=True)
+    return path
+
+
+def image_size(path):
+    if path.suffix == '.svg':
+        return svg_size(path.read_bytes())
+    with Image.open(path) as image:
+        return image.size
+
+
+def mirror_images(data, assets_dir):
+    """Point every remote image in data at a local copy in assets_dir.
+
+    Images that can't be downloaded keep their remote URL (and are reported),
+    so one dead link doesn't stop the export.
+    """
+    assets_dir.mkdir(parents=True, exist_ok=True)
+    mirrored = 0
+
+    for image in remote_images(data):
+        url = image['url']
+        name = hashlib.sha256(url.encode('utf-8')).hexdigest()[:16]
+        path = next(assets_dir.glob(f'{name}.*'), None)
+
+        if path is None:
+            try:
+                path = save_image(download(url), assets_dir / name)
+                print(f"   ⬇️  {url[:70]} → {path.name}")
+            except Exception as error:  # Network, HTTP and decoding errors alike
+                print(f"⚠️  Could not mirror {url}: {error}", file=sys.stderr)
+                continue
+
+        width, height = image_size(path)
+        image['source_url'] = url
+        image['url'] = f'{assets_dir.name}/{path.name}'
+        if width and height:
+            image['width'] = width
+            image['height'] = height
+        mirrored += 1
+
+    return mirrored
@@ -0,0 +1,105 @@
+#!/usr/bin/env python3
+"""
+Vendor the frontend's third-party files into docs/vendor/.
+
+The story used to load D3 from d3js.org, GSAP from cdnjs and the fonts from
+Google Fonts, which broke on a flaky venue Wi-Fi. This script downloads
+pinned npm packages from the registry and copies out what the page needs:
+
+- D3 v7 and GSAP + ScrollTrigger (minified builds)
+- Crimson Text and IBM Plex Mono from Fontsource (woff2, latin + latin-ext),
+  with a generated docs/vendor/fonts/fonts.css
+
+The output is committed; re-run after changing a version below.
+"""
+
+import io
+import json
+import re
+import tarfile
+import urllib.request
+from pathlib import Path
+
+
+REGISTRY = 'https://registry.npmjs.org'
+
+# (package, version, {file in package: file in docs/vendor/})
+LIBRARIES = [
+    ('d3', '7.9.0', {
+        'dist/d3.min.js': 'd3.v7.min.js',
+        'LICENSE': 'LICENSE-d3',
+    }),
+    ('gsap', '3.12.5', {
+        'dist/gsap.min.js': 'gsap.min.js',
+        'dist/ScrollTrigger.min.js': 'ScrollTrigger.min.js',
+    }),
+]
+
+# (package, version, Fontsource CSS files for the weights/styles we use)
+FONTS = [
+    ('@fontsource/crimson-text', '5.3.0', ['400.css', '400-italic.css', '600.css']),
+    ('@fontsource/ibm-plex-mono', '5.3.0', ['400.css', '500.css']),
+]
+
+# Unicode subsets to keep (Swedish is covered by latin)
+SUBSETS = ('latin', 'latin-ext')
+
+
+def fetch_package(name, version):
+    """Download an npm package tarball, returning {path: bytes}."""
+    with urllib.request.urlopen(f'{REGISTRY}/{name}/{version}', timeout=30) as response:
+        tarball = json.load(response)['dist']['tarball']
+
+    print(f"📦 {name}@{version}")
+    with urllib.request.urlopen(tarball, timeout=60) as response:
+        archive = tarfile.open(fileobj=io.BytesIO(response.read()), mode='r:gz')
+
+    # npm tarballs put everything under package/
+    return {
+        member.name.removeprefix('package/'): archive.extractfile(member).read()
+        for member in archive.getmembers()
+        if member.isfile()
+    }
+
+
+def font_faces(family, css, files, fonts_dir):
+    """Keep the @font-face blocks for SUBSETS, woff2 only, copying the files."""
+    faces = []
+    # Each block is preceded by /* <family>-<subset>-<weight>-<style> */
+    for comment, block in re.findall(r'/\* ([\w-]+) \*/\s*(@font-face \{.*?\})', css, re.S):
+        subset = re.fullmatch(rf'{family}-(.+)-\d+-(?:normal|italic)', comment)
+        if not subset or subset.group(1) not in SUBSETS:
+            continue
+
+        woff2 = re.search(r'url\(\./files/([\w-]+\.woff2)\)', block).group(1)
+        (fonts_dir / woff2).write_bytes(files[f'files/{woff2}'])
+        faces.append(re.sub(r'src: [^;]+;', f"src: url({woff2}) format('woff2');", block))
+    return faces
+
+
+def vendor():
+    project_root = Path(__file__).parent.parent
+    vendor_dir = project_root / 'docs' / 'vendor'
+    fonts_dir = vendor_dir / 'fonts'
+    fonts_dir.mkdir(parents=True, exist_ok=True)
+
+    for name, version, copies in LIBRARIES:
+        files = fetch_package(name, version)
+        for source, target in copies.items():
+            (vendor_dir / target).write_bytes(files[source])
+            print(f"   → docs/vendor/{target}")
+
+    css = ['/* Generated by scripts/vendor_libs.py from Fontsource (SIL Open Font License) */']
+    for name, version, stylesheets in FONTS:
+        files = fetch_package(name, version)
+        family = name.split('/')[-1]
+        (fonts_dir / f'LICENSE-{family}').write_bytes(files['LICENSE'])
+        for stylesheet in stylesheets:
+            css.extend(font_faces(family, files[stylesheet].decode('utf-8'), files, fonts_dir))
+
+    (fonts_dir / 'fonts.css').write_text('\n\n'.join(css) + '\n', encoding='utf-8')
+    print(f"✅ Wrote docs/vendor/fonts/fonts.css ({len(css) - 1} font faces)")
+
+
+if __name__ == '__main__':
+    vendor()